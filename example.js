@@ -0,0 +1,25 @@
+/**** EXAMPLE PAGE SCRIPT
+ * Loaded by example.html as an external module, so that the page needs no inline script (strict CSP friendly).
+ */
+'use strict';
+
+import { AK, startDestroyObserver, startEnhanceObserver } from './src/core/ak-base.js';
+import './src/ak-ui-elements.js';
+
+/**
+ * Clones the panel of the button that emitted the "clone-panel" event (see its ak-on:click attribute) in a new tab,
+ * deeply half of the times.
+ * @param {CustomEvent} aEvent 
+ */
+function clonePanel(aEvent) {
+  let index = Math.floor(Math.random() * 10000);
+  let clone = aEvent.target.parentElement.cloneNode((index % 2 == 0));
+  clone.id = 'cloned-panel-' + index;
+  AK.byId('main-tabpanel', 'TabPanel').addTab('Clone (' + index + ')', clone);
+}
+
+AK.enhance(document.body);
+startDestroyObserver(document.body);
+startEnhanceObserver(document.body);
+// On the document, so that the buttons of the cloned panels work too.
+document.addEventListener('clone-panel', clonePanel);
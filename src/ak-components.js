@@ -0,0 +1,156 @@
+'use strict';
+
+import { AKComponent, AKComponentRegistry, AKObjectManager, AKUiClassesRegistry } from './core/ak-core.js';
+import { isNonEmptyStr, iterateObject, listAttribute } from './core/ak-utils.js';
+import { AK } from './core/ak-base.js';
+
+/** Encodings of the AjaxForm requests. */
+const FORM_ENCODINGS = ['urlencoded', 'multipart', 'json'];
+
+/**
+ * Returns the form data as a plain object to be sent as JSON: multiple selects, checkboxes sharing their name and names
+ * ending with "[]" (stripped) give arrays (empty when nothing is checked), repeated names too; files are skipped.
+ * @param {HTMLFormElement} aForm 
+ * @param {FormData} aData 
+ * @returns {Object.<string, string | string[]>}
+ */
+function formToObject(aForm, aData) {
+  /** @param {string} aName @returns {string} */
+  let key = function (aName) { return aName.endsWith('[]') ? aName.slice(0, -2) : aName; };
+  let arrays = new Set();
+  let checkboxes = new Set();
+  let result = {};
+  Array.from(aForm.elements).forEach(function (aField) {
+    if (!aField.name) return;
+    if (((aField instanceof HTMLSelectElement) && aField.multiple) || aField.name.endsWith('[]')) arrays.add(aField.name);
+    if (aField.type !== 'checkbox') return;
+    if (checkboxes.has(aField.name)) arrays.add(aField.name);
+    checkboxes.add(aField.name);
+  });
+  arrays.forEach(function (aName) { result[key(aName)] = []; });
+  aData.forEach(function (aValue, aName) {
+    if (typeof(aValue) !== 'string') return; // Files can't be sent as JSON.
+    if (arrays.has(aName)) result[key(aName)].push(aValue);
+    else if (Object.hasOwn(result, aName)) result[aName] = [].concat(result[aName], aValue);
+    else result[aName] = aValue;
+  });
+  return result;
+}
+
+/** Plain component: the whole request cycle is declared through the ak-component-* attributes. */
+class AKRequest extends AKComponent {};
+/**
+ * Form submitted through AJAX, validated by the Form UI class (declared by the component when missing).
+ * The `ak-component-encoding` attribute sets how the fields are sent: "urlencoded", "multipart" or "json"; it defaults
+ * to the encoding of the `enctype` attribute ("application/json" included), then to "multipart" when the form has file
+ * inputs. GET and DELETE requests always send the fields as URL query. The button that submitted the form is sent
+ * along with the fields.
+ * A failed response with a JSON body like {"message": "...", "errors": {"<field name>": "..." | ["...", ...]}} is mapped
+ * back onto the form: the fields get their errors (see setFieldError), the message and the errors whose name doesn't
+ * match any field are shown as form errors (see showErrors), and the requesterror event is canceled (no logging).
+ */
+class AKAjaxForm extends AKComponent {
+  /**
+   * @param {string} aName 
+   * @returns {Element | null} The field with the given name (or name + "[]"), the first one of a group
+   */
+  #field(aName) {
+    let result = this.el.elements.namedItem(aName) ?? this.el.elements.namedItem(aName + '[]');
+    return (result instanceof RadioNodeList) ? result[0] : result;
+  };
+  /**
+   * Shows the errors of a structured response.
+   * @param {Object} aData The parsed JSON body
+   * @returns {Boolean} False when aData has neither message nor errors
+   */
+  #showErrors(aData) {
+    if ((typeof(aData) !== 'object') || !aData || (!isNonEmptyStr(aData.message) && !aData.errors)) return false;
+    let ref = this;
+    let form = this.form;
+    /** @param {*} aValue A message or an array of messages @returns {string[]} The non-empty messages */
+    let toMessages = function (aValue) {
+      return [].concat(aValue ?? []).map(function (aItem) { return String(aItem ?? '').trim(); }).filter(isNonEmptyStr);
+    };
+    let messages = isNonEmptyStr(aData.message) ? [aData.message] : [];
+    if (Array.isArray(aData.errors)) messages.push(...toMessages(aData.errors));
+    else iterateObject(aData.errors ?? {}, function (aName, aValue) {
+      let message = toMessages(aValue).join(' ');
+      if (!message) return;
+      let field = ref.#field(aName);
+      if (field) form.setFieldError(field, message); else messages.push(message);
+    });
+    form.showErrors(messages);
+    let invalid = form.fields.find(function (aField) { return aField.hasAttribute('invalid'); });
+    if (invalid) invalid.focus();
+    return true;
+  };
+
+  /** @param {Element} aElement @override */
+  _validateElement(aElement) {
+    super._validateElement(aElement);
+    this.constructor.AKAssert(aElement instanceof HTMLFormElement, 'AjaxForm elements must be forms.');
+  };
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    let formClass = AKUiClassesRegistry.instance.find('Form');
+    this.constructor.AKAssert(formClass, 'The Form UI class is not registered.');
+    if (!listAttribute(aElement, 'ak-ui-classes').some(function (aName) { return AKUiClassesRegistry.instance.find(aName) === formClass; }))
+      aElement.setAttribute('ak-ui-classes', ((aElement.getAttribute('ak-ui-classes') ?? '') + ' Form').trim());
+    super._applyClass(aElement);
+    let ref = this;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    // Only the events of the component itself (they bubble from the nested ones too).
+    aElement.addEventListener('beforerequest', function (aEvent) {
+      if (aEvent.target === aElement) ref.form.showErrors([]);
+    }, { signal: signal });
+    aElement.addEventListener('afterrequest', function (aEvent) {
+      if (aEvent.target === aElement) ref.form.clear();
+    }, { signal: signal });
+    aElement.addEventListener('requesterror', function (aEvent) {
+      let response = aEvent.detail.response;
+      if ((aEvent.target !== aElement) || !response || !(response.headers.get('Content-Type') ?? '').includes('json')) return;
+      let data = null;
+      try {
+        data = JSON.parse(aEvent.detail.html);
+      }
+      catch (aError) {
+        return; // Logged as any other error.
+      }
+      if (ref.#showErrors(data)) aEvent.preventDefault();
+    }, { signal: signal });
+  };
+  /** @param {Event | null} aTrigger @returns {FormData | URLSearchParams | string} @override */
+  _requestParams(aTrigger) {
+    let data = new FormData(this.el, aTrigger?.submitter ?? null);
+    let encoding = this.encoding;
+    if (['GET', 'DELETE'].includes(this.method) || (encoding === 'urlencoded'))
+      return new URLSearchParams(Array.from(data).filter(function (aEntry) { return typeof(aEntry[1]) === 'string'; }));
+    if (encoding === 'json') return JSON.stringify(formToObject(this.el, data));
+    return data;
+  };
+  /** @override */
+  _requestHeaders() {
+    let result = super._requestHeaders();
+    if ((this.encoding === 'json') && !['GET', 'DELETE'].includes(this.method)) result['Content-Type'] = 'application/json';
+    return result;
+  };
+  /** How the fields are sent: "urlencoded", "multipart" or "json". @type {string} */
+  get encoding() {
+    let result = this.el.getAttribute('ak-component-encoding');
+    if (result) {
+      result = result.toLowerCase();
+      this.constructor.AKAssert(FORM_ENCODINGS.includes(result), 'Invalid encoding "' + result + '".');
+      return result;
+    }
+    let enctype = (this.el.getAttribute('enctype') ?? '').toLowerCase();
+    if (enctype === 'multipart/form-data') return 'multipart';
+    if (enctype === 'application/json') return 'json';
+    if (enctype === 'application/x-www-form-urlencoded') return 'urlencoded';
+    return this.el.querySelector('input[type="file"]') ? 'multipart' : 'urlencoded';
+  };
+  /** The Form UI element of the form. @type {AKUiForm} */
+  get form() { return AK.as(this.el, 'Form'); };
+};
+
+AKComponentRegistry.instance.register('Request', AKRequest);
+AKComponentRegistry.instance.register('AjaxForm', AKAjaxForm);
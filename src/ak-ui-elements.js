@@ -1,47 +1,415 @@
 'use strict';
 
-import { AKUiElement, AKUiClassesRegistry } from './ak-core.js';
-import { isElement, isNonEmptyStr } from './ak-utils.js';
+import { AKUiElement, AKUiClassesRegistry, AKObjectManager } from './core/ak-core.js';
+import { assert, ensureId, floatingPosition, fmt, isElement, isNonEmptyStr, modulo, sameText, splitTokens, toggleListAttribute } from './core/ak-utils.js';
+import { AK, detachElement, restoreElement, swapHtml } from './core/ak-base.js';
 
+/**
+ * Returns the id of the element followed by the given suffix, an empty string (= no id) when the element has no id.
+ * @param {Element} aElement @param {string} aSuffix @returns {string}
+ */
+function suffixedId(aElement, aSuffix) { return aElement.id ? aElement.id + aSuffix : ''; }
+
+/** Distance (in pixels) the pointer has to move before a tab drag starts. */
+const TAB_DRAG_THRESHOLD = 5;
+/** TabPanel instance of each tabpanel header, used to find the drop target of the dragged tabs. @type {WeakMap<Element, AKUiTabPanel>} */
+const TABPANEL_HEADERS = new WeakMap();
+/** Panels whose panel-src content has already been loaded (kept when the tab moves to another tabpanel). @type {WeakSet<Element>} */
+const LOADED_PANELS = new WeakSet();
+/** Title of the tabs added through insertTab, persisted (along with their panel-src) to be added again. @type {WeakMap<Element, string>} */
+const DYNAMIC_TABS = new WeakMap();
+/** Tabs whose id has been generated (not persisted, since it may change on reload). @type {WeakSet<Element>} */
+const GENERATED_TAB_IDS = new WeakSet();
+/** Values of the TabPanel overflow attribute (the first one is the default). @type {string[]} */
+const OVERFLOW_MODES = ['scroll', 'menu'];
+/** Values of the TabPanel persist attribute. @type {string[]} */
+const PERSIST_MODES = ['hash', 'history', 'session', 'local'];
+/** Property of history.state (and prefix of the storage keys) holding the persisted TabPanel states. */
+const PERSIST_KEY = 'ak-tabpanel';
+
+/**
+ * Returns the title of a tab: its text, the close button excluded.
+ * @param {Element} aTab @returns {string}
+ */
+function tabTitle(aTab) {
+  return Array.from(aTab.childNodes).filter(function (aNode) {
+    return !(isElement(aNode) && aNode.classList.contains('ak-close-button'));
+  }).map(function (aNode) { return aNode.textContent; }).join('').trim();
+};
+/**
+ * Returns the elements of the container reachable with the Tab key (the hidden ones excluded), in document order.
+ * @param {Element} aContainer @returns {Element[]}
+ */
+function focusableElements(aContainer) {
+  return Array.from(aContainer.querySelectorAll(FOCUSABLE_SELECTOR)).filter(function (aItem) {
+    return !aItem.closest('.ak-hidden, [hidden]');
+  });
+};
+/** @param {Number} aNumber @returns {Number} The count of the decimal digits of the number (exponent notation included) */
+function decimalDigits(aNumber) {
+  let match = /(?:\.(\d+))?(?:e([+-]\d+))?$/i.exec(String(Number(aNumber)));
+  return Math.max((match[1]?.length ?? 0) - Number(match[2] ?? 0), 0);
+};
+/**
+ * Parses a number formatted through the given formatter (group separators and symbols are ignored).
+ * @param {string} aText @param {Intl.NumberFormat} aFormat
+ * @returns {Number} NaN when the text is not a number
+ */
+function parseLocaleNumber(aText, aFormat) {
+  let parts = aFormat.formatToParts(-1234567.5);
+  let group = parts.find(function (aPart) { return aPart.type === 'group'; })?.value;
+  let decimal = parts.find(function (aPart) { return aPart.type === 'decimal'; })?.value ?? '.';
+  let minus = parts.find(function (aPart) { return aPart.type === 'minusSign'; })?.value ?? '-';
+  let text = aText.replace(/\s/g, '');
+  if (group) text = text.split(group).join('');
+  text = text.split(decimal).join('.').split(minus).join('-').replace(/[^0-9.-]/g, '');
+  return /^-?(\d+(\.\d*)?|\.\d+)$/.test(text) ? Number(text) : NaN;
+};
+/**
+ * Creates a button (out of the tab sequence) used by the UI elements controls.
+ * @param {Document} aDocument @param {string} aClass @param {string} aLabel The accessible label @param {string} aText
+ * @returns {HTMLButtonElement}
+ */
+function createControlButton(aDocument, aClass, aLabel, aText) {
+  let button = aDocument.createElement('button');
+  button.type = 'button';
+  button.className = aClass;
+  button.textContent = aText;
+  button.setAttribute('aria-label', aLabel);
+  button.setAttribute('tabindex', '-1');
+  return button;
+};
+/**
+ * @typedef {Object} AKTabPanelState
+ * @property {string | Number} active Id of the active tab, its index when the tab id has been generated
+ * @property {{index: Number, title: string, src: string, closable: Boolean}[]} tabs Descriptors of the tabs added at runtime
+ */
+/**
+ * Returns the parameters of the URL hash, null when it is not made of key=value pairs (e.g. an in-page anchor).
+ * @param {Window} aWindow @returns {URLSearchParams | null}
+ */
+function hashParams(aWindow) {
+  let hash = aWindow.location.hash.slice(1);
+  if (hash && !hash.split('&').every(function (aPair) { return aPair.includes('='); })) return null;
+  return new URLSearchParams(hash);
+};
+/**
+ * Reads the persisted state of a TabPanel.
+ * @param {Window} aWindow @param {string} aMode One of PERSIST_MODES @param {string} aId Id of the TabPanel element
+ * @returns {AKTabPanelState | null}
+ */
+function readTabPanelState(aWindow, aMode, aId) {
+  if (aMode === 'hash') {
+    let active = hashParams(aWindow)?.get(aId) ?? null;
+    return (active === null) ? null : { active: active, tabs: [] };
+  }
+  if (aMode === 'history') return aWindow.history.state?.[PERSIST_KEY]?.[aId] ?? null;
+  try {
+    return JSON.parse(aWindow[aMode + 'Storage'].getItem(PERSIST_KEY + ':' + aId));
+  }
+  catch (aError) {
+    console.warn(aError);
+    return null;
+  }
+};
+/**
+ * Persists the state of a TabPanel; the hash mode only keeps the active panel, and only when the hash is empty or made
+ * of key=value pairs.
+ * @param {Window} aWindow @param {string} aMode One of PERSIST_MODES @param {string} aId Id of the TabPanel element
+ * @param {AKTabPanelState} aState
+ * @param {Boolean} aPush Whether the history mode adds a new history entry (instead of replacing the current one)
+ */
+function writeTabPanelState(aWindow, aMode, aId, aState, aPush) {
+  let history = aWindow.history;
+  if (aMode === 'hash') {
+    let params = hashParams(aWindow);
+    if (!params) return; // Leaving the anchors alone.
+    params.set(aId, aState.active);
+    history.replaceState(history.state, '', '#' + params.toString());
+  }
+  else if (aMode === 'history') {
+    let state = ((typeof(history.state) === 'object') && history.state) ? Object.assign({}, history.state) : {};
+    state[PERSIST_KEY] = Object.assign({}, state[PERSIST_KEY], { [aId]: aState });
+    if (aPush) history.pushState(state, ''); else history.replaceState(state, '');
+  }
+  else
+    try {
+      aWindow[aMode + 'Storage'].setItem(PERSIST_KEY + ':' + aId, JSON.stringify(aState));
+    }
+    catch (aError) {
+      console.warn(aError);
+    }
+};
+
+/** Open dialogs, from the bottom to the top one. @type {AKUiDialog[]} */
+const DIALOG_STACK = [];
+/** Elements reachable with the Tab key, used by the Dialog focus trap. */
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+  'select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable=""], [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+/** Delay (in milliseconds) before hiding a hover-triggered tooltip, so that the pointer can move onto it. */
+const TOOLTIP_HIDE_DELAY = 100;
+/** Milliseconds after which the typeahead text of the menus is reset. */
+const MENU_TYPEAHEAD_DELAY = 500;
+/** Default timeout (in milliseconds) of the toasts. */
+const TOAST_TIMEOUT = 5000;
+/** Default value of the Toaster position attribute. */
+const TOASTER_POSITION = 'bottom-right';
+/** Validators registered through registerValidator (name = lowercase name). @type {Map<string, AKValidator>} */
+const FORM_VALIDATORS = new Map();
+/** Duration (in milliseconds) of the undo window of the close buttons whose ak-undo attribute has no value. */
+const UNDO_TIMEOUT = 5000;
+/** Controller of the "notify" listener added by listenNotifications to each document. @type {WeakMap<Document, AbortController>} */
+const NOTIFY_LISTENERS = new WeakMap();
+/** Menu items whose ak-disabled class comes from their disabled attribute (not set by the author). @type {WeakSet<Element>} */
+const DISABLED_MENU_ITEMS = new WeakSet();
+
+/**
+ * Asks for a confirmation through a modal Dialog, the library counterpart of window.confirm.
+ * @param {string} aMessage 
+ * @param {{okText?: string, cancelText?: string, document?: Document}} [aOptions={}]
+ * @returns {Promise<Boolean>} True when confirmed
+ */
+export function confirmSync(aMessage, aOptions = {}) {
+  let doc = aOptions.document ?? document;
+  /** @type {AKUiDialog} */
+  let dialog = AK.createChildAKObject(doc.body, 'div', '', 'Dialog', { role: 'alertdialog' });
+  let element = dialog.el;
+  element.classList.add('ak-confirm-dialog');
+  let message = AK.createChild(element, 'p', '', 'ak-confirm-message');
+  message.textContent = aMessage;
+  element.setAttribute('aria-describedby', ensureId(message, 'ak-confirm'));
+  let ok = AK.createChild(element, 'button', '', 'ak-confirm-ok', { type: 'button', autofocus: '' });
+  ok.textContent = aOptions.okText ?? 'OK';
+  let cancel = AK.createChild(element, 'button', '', 'ak-confirm-cancel', { type: 'button' });
+  cancel.textContent = aOptions.cancelText ?? 'Cancel';
+  let confirmed = false;
+  ok.addEventListener('click', function (aEvent) {
+    confirmed = true;
+    dialog.close(aEvent);
+  });
+  cancel.addEventListener('click', function (aEvent) { dialog.close(aEvent); });
+  return new Promise(function (aResolve) {
+    element.addEventListener('close', function () {
+      element.remove();
+      aResolve(confirmed);
+    }, { once: true });
+    dialog.open();
+  });
+};
+/**
+ * Shows a toast in the Toaster of the given position (the first Toaster of the document when not given); a Toaster
+ * is appended to the body when none is found.
+ * @param {string} aMessage 
+ * @param {AKToastOptions & {position?: string, document?: Document}} [aOptions={}]
+ * @returns {Element} The toast element
+ */
+export function notify(aMessage, aOptions = {}) {
+  let doc = aOptions.document ?? document;
+  let element = Array.from(doc.getElementsByClassName('ak-toaster')).find(function (aItem) {
+    return !aOptions.position || sameText(aItem.getAttribute('position') ?? TOASTER_POSITION, aOptions.position);
+  });
+  /** @type {AKUiToaster} */
+  let toaster = element ? AK.as(element, 'Toaster')
+    : AK.createChildAKObject(doc.body, 'div', '', 'Toaster', aOptions.position ? { position: aOptions.position } : {});
+  return toaster.show(aMessage, aOptions);
+};
+/**
+ * Shows a toast (see notify) for each "notify" event reaching the document without being canceled, e.g. the ones of the
+ * AKComponent responses with the AK-Notify header. Calling it again for the same document returns the same controller.
+ * @param {Document} [aDocument=document]
+ * @returns {AbortController} Aborting it removes the listener
+ */
+export function listenNotifications(aDocument = document) {
+  let controller = NOTIFY_LISTENERS.get(aDocument);
+  if (controller && !controller.signal.aborted) return controller;
+  controller = new AbortController();
+  NOTIFY_LISTENERS.set(aDocument, controller);
+  aDocument.addEventListener('notify', function (aEvent) {
+    if (aEvent.defaultPrevented || !aEvent.detail?.message) return;
+    notify(String(aEvent.detail.message), Object.assign({}, aEvent.detail, { document: aDocument }));
+  }, { signal: controller.signal });
+  return controller;
+};
+/**
+ * Validator of the Form fields declaring its name in their `ak-validate` attribute.
+ * @callback AKValidator
+ * @param {string} aValue The field value (empty for the unchecked checkboxes and radios)
+ * @param {Element} aField 
+ * @param {AKUiForm} aForm 
+ * @returns {Boolean | string} True (or an empty string) when valid, otherwise false or the message to be shown
+ */
+/**
+ * Registers a validator of the Form fields, replacing the one with the same (case insensitive) name.
+ * @param {string} aName 
+ * @param {AKValidator} aValidator 
+ * @example
+ * registerValidator('even', function (aValue) { return (Number(aValue) % 2 === 0) || 'Please enter an even number.'; });
+ */
+export function registerValidator(aName, aValidator) {
+  assert(isNonEmptyStr(aName) && (typeof(aValidator) === 'function'), 'Invalid validator.');
+  FORM_VALIDATORS.set(aName.toLowerCase(), aValidator);
+};
+/**
+ * Detaches the element (see detachElement) showing an undo bar in its place: the undo button inserts the element back,
+ * with its AKObject instances intact, otherwise it gets destroyed when the timeout expires.
+ * @param {Element} aElement 
+ * @param {Number} [aTimeout=UNDO_TIMEOUT] Milliseconds
+ * @param {Object.<string, string>} [aMessages=AKUiCloseElementButton.messages] Texts of the undo bar (closed and undo)
+ * @returns {Promise<Boolean>} True when the element has been restored
+ */
+export function removeWithUndo(aElement, aTimeout = UNDO_TIMEOUT, aMessages = AKUiCloseElementButton.messages) {
+  let doc = aElement.ownerDocument;
+  let hadFocus = aElement.contains(doc.activeElement);
+  let bar = doc.createElement('div');
+  bar.className = 'ak-undo-bar';
+  bar.setAttribute('role', 'status');
+  AK.createChild(bar, 'span', '', 'ak-undo-message').textContent = aMessages.closed;
+  let button = AK.createChild(bar, 'button', '', 'ak-undo-button', { type: 'button' });
+  button.textContent = aMessages.undo;
+  detachElement(aElement, bar);
+  if (hadFocus) button.focus();
+  return new Promise(function (aResolve) {
+    let timer = setTimeout(function () {
+      bar.remove();
+      AK.destroy(aElement);
+      aResolve(false);
+    }, aTimeout);
+    button.addEventListener('click', function () {
+      clearTimeout(timer);
+      restoreElement(aElement, bar);
+      aResolve(true);
+    }, { once: true });
+  });
+};
+
+/**
+ * Button that closes (removes) its parent element.
+ * The `ak-confirm` attribute asks for a confirmation (its value is the message) through confirmSync, then the cancelable
+ * "beforeclose" event is dispatched on the element; the `ak-undo` attribute (optionally set to a duration in milliseconds)
+ * removes it through removeWithUndo.
+ */
 class AKUiCloseElementButton extends AKUiElement {
   /** @override */
   static get classes() { return ['ak-close-button']; };
+  /** Texts of the undo bar. @type {Object.<string, string>} @virtual */
+  static get messages() {
+    return {
+      closed: 'Closed.',
+      undo: 'Undo'
+    };
+  };
   /** @param {Element} aElement @override */
   _applyClass(aElement) {
     super._applyClass(aElement);
     if (!aElement.textContent)
       aElement.textContent = '\xD7';
+    aElement.setAttribute('role', 'button');
+    if (!aElement.hasAttribute('aria-label')) aElement.setAttribute('aria-label', 'Close');
+    if (!aElement.hasAttribute('tabindex')) aElement.setAttribute('tabindex', '0');
   };
   /** @type {Object.<string, EventListener>} @override */
   get _handlers() {
-    let element = this.el.parentElement;
-    this.constructor.AKAssert(element);
+    let ref = this;
     return {
       'click': function(aEvent) {
-        element.remove();
         aEvent.stopPropagation();
+        ref.closeSync(aEvent).catch(function (aError) { console.error(aError); });
+      },
+      'keydown': function(aEvent) {
+        if ((aEvent.key !== 'Enter') && (aEvent.key !== ' ')) return;
+        aEvent.preventDefault();
+        aEvent.stopPropagation();
+        this.click();
       }
     };
   };
+  /** The element closed by the button. @type {Element} @virtual */
+  get _target() {
+    let element = this.el.parentElement;
+    this.constructor.AKAssert(element);
+    return element;
+  };
+  /**
+   * Closes the target element once confirmed and not canceled.
+   * @param {Element} aElement The target element
+   * @param {Event | null} aTrigger 
+   * @virtual
+   */
+  _close(aElement, aTrigger) {
+    let undo = this.el.getAttribute('ak-undo');
+    if (undo === null) aElement.remove();
+    else removeWithUndo(aElement, Number(undo) || UNDO_TIMEOUT, this.constructor.messages);
+  };
+  /**
+   * Closes the target element: asks for a confirmation (ak-confirm attribute), dispatches "beforeclose" and closes it.
+   * @param {Event | null} [aTrigger=null] The event that triggered the closing (if any)
+   * @returns {Promise<Boolean>} False when not confirmed or canceled
+   */
+  async closeSync(aTrigger = null) {
+    let element = this._target;
+    let message = this.el.getAttribute('ak-confirm');
+    // Without confirmation, the element is closed synchronously.
+    if ((message !== null) && !(await confirmSync(message, { document: element.ownerDocument }))) return false;
+    if (!element.dispatchEvent(new CustomEvent('beforeclose', { cancelable: true, detail: { button: this.el, trigger: aTrigger } })))
+      return false;
+    this._close(element, aTrigger);
+    return true;
+  };
 };
+/** Close button of its parent AKObject: calls its close method, when defined, instead of removing the element. */
 class AKUiCloseAKObjectButton extends AKUiCloseElementButton {
-  /** @type {Object.<string, EventListener>} @override */
-  get _handlers() {
+  /** @type {Element} @override */
+  get _target() {
     let parent = this.parent;
     this.constructor.AKAssert(parent);
-    return {
-      'click': function(aEvent) {
-        if(parent['close']) parent.close(aEvent);
-        else parent.el.remove();
-        aEvent.stopPropagation();
-      }
-    };
+    return parent.el;
+  };
+  /** @param {Element} aElement @param {Event | null} aTrigger @override */
+  _close(aElement, aTrigger) {
+    let parent = this.parent;
+    if (parent['close']) parent.close(aTrigger);
+    else super._close(aElement, aTrigger);
   };
 };
 
+/**
+ * Tab panel following the WAI-ARIA tabs pattern: tabs (children of the .ak-tabpanel-header element) and panels
+ * (children of the .ak-tabpanel-body element) are paired by position.
+ *
+ * Tabs are navigated with Left/Right/Home/End; the `activation` attribute sets whether focusing a tab also activates it
+ * ("auto", default) or Enter/Space are needed ("manual"). Delete closes the focused tab when it is closable.
+ *
+ * A tab with the `panel-src` attribute gets its panel content fetched (and enhanced) when it is first activated, or on
+ * each activation with the `panel-refetch` attribute (on the tab or on the tabpanel element). The panel shows loadingHtml
+ * while loading and errorHtml when the request fails.
+ *
+ * The `persist` attribute keeps the active tab (and the panel-src tabs added at runtime) across page loads, keyed by the
+ * element id: "hash" (as `#id=tab` in the location hash), "history" (in history.state, activating a tab adds a
+ * history entry), "session" or "local" (sessionStorage/localStorage). The active tab is saved by its id, by its index
+ * when the tab has no id of its own; an id matching a tab wins over an index.
+ *
+ * The `overflow` attribute handles the tabs that do not fit the header: "scroll" (default) adds buttons scrolling the
+ * header, "menu" adds a button opening a menu of the hidden tabs. The element has the ak-tabpanel-overflowing class
+ * while the tabs overflow; the active tab is always scrolled into view.
+ *
+ * With the `reorderable` attribute, tabs can be reordered by dragging them with the pointer, even onto another reorderable
+ * tabpanel of the same page sharing the same (optional) `drag-group` attribute value.
+ *
+ * Events dispatched on the element: "tabchange" when the active tab changes, "tabbeforeclose" (cancelable) before a tab
+ * gets closed through removeTab, its close button (whose ak-undo attribute does not apply to tabs) or the Delete key, "tabmove" when a tab is moved (on both tabpanels,
+ * when moved between two of them), "tabload" when a panel-src content is loaded and "tabloaderror" (cancelable, the
+ * error is logged unless canceled) when it fails. Their detail holds tab, panel and index (from/to for "tabmove", url
+ * and error for the load events).
+ */
 class AKUiTabPanel extends AKUiElement {
   /** @override */
   static get classes() { return ['ak-tabpanel']; };
+  /** @override */
+  static get observedAtts() { return ['overflow', 'reorderable']; };
+  /** HTML shown in the panels while their panel-src content is loading. @type {string} */
+  static loadingHtml = '<div class="ak-tabpanel-loading">Loading\u2026</div>';
+  /** HTML shown in the panels when their panel-src content fails to load. @type {string} */
+  static errorHtml = '<div class="ak-tabpanel-error" role="alert">The content could not be loaded.</div>';
   /** @type {Element} */
   #HEADER = null;
   /** @type {Element} */
@@ -50,28 +418,190 @@ class AKUiTabPanel extends AKUiElement {
   #COUNT = 0;
   /** @type {Number} */
   #ACTIVETAB = -1;
+  /** Panel of each tab (tabs and panels are paired by position, ids are not required). @type {WeakMap<Element, Element>} */
+  #PANELS = new WeakMap();
+  /** Controller of the listeners of each tab, aborted when the tab is removed or moves to another tabpanel. @type {WeakMap<Element, AbortController>} */
+  #TABLISTENERS = new WeakMap();
+  /** Signal of the instance listeners, aborting the tab ones too once the tabpanel is destroyed. @type {AbortSignal} */
+  #SIGNAL = null;
+  /** Controller of the document listeners of the tab drag in progress. @type {AbortController} */
+  #DRAG = null;
+  /** Controller of the panel-src request in progress for each tab. @type {WeakMap<Element, AbortController>} */
+  #LOADS = new WeakMap();
+  /** Whether the persisted state is being restored (so that it does not get saved meanwhile). @type {Boolean} */
+  #RESTORING = false;
+  /** Observer of the header and tabs sizes, when the overflow attribute is set. @type {ResizeObserver} */
+  #RESIZE = null;
+  /** Controller of the overflow controls listeners. @type {AbortController} */
+  #OVERFLOW = null;
+  /** Overflow controls: previous/next ("scroll" mode), more and menu ("menu" mode). @type {Object.<string, Element>} */
+  #CONTROLS = {};
 
   #activateTab(aTab) {
     if (!isElement(aTab)) return;
+    let previous = Array.from(this.#HEADER.children).find(function (aItem) { return aItem.classList.contains('ak-tabpanel-active'); }) ?? null;
     for (let i = 0; i < this.#COUNT; i++) {
-      if (aTab === this.#HEADER.children[i]) {
-        this.#HEADER.children[i].classList.add('ak-tabpanel-active');
-        this.#BODY.children[i].classList.remove('ak-hidden');
-        this.#ACTIVETAB = i;
-      }
-      else {
-        this.#HEADER.children[i].classList.remove('ak-tabpanel-active');
-        this.#BODY.children[i].classList.add('ak-hidden');
+      let tab = this.#HEADER.children[i];
+      let active = (aTab === tab);
+      tab.classList.toggle('ak-tabpanel-active', active);
+      tab.setAttribute('aria-selected', String(active));
+      tab.setAttribute('tabindex', active ? '0' : '-1');
+      this.#BODY.children[i].classList.toggle('ak-hidden', !active);
+      if (active) this.#ACTIVETAB = i;
+    }
+    if (previous !== aTab)
+      this.el.dispatchEvent(new CustomEvent('tabchange', { detail: { tab: aTab, panel: this.activePanel, index: this.#ACTIVETAB, previousTab: previous } }));
+    this.#scrollToTab(aTab);
+    if (previous !== aTab) this.#saveState(previous !== null);
+    let refetch = (previous !== aTab) && (aTab.hasAttribute('panel-refetch') || this.el.hasAttribute('panel-refetch'));
+    if (aTab.hasAttribute('panel-src') && (refetch || !(LOADED_PANELS.has(this.#PANELS.get(aTab)) || this.#LOADS.has(aTab))))
+      this.#loadPanelSync(aTab);
+  };
+  /**
+   * Fetches the panel-src content of the tab into its panel; a request still in progress for the same tab is aborted.
+   * @param {Element} aTab
+   * @returns {Promise<Boolean>} False when the request fails or gets aborted
+   */
+  async #loadPanelSync(aTab) {
+    let url = aTab.getAttribute('panel-src');
+    let panel = this.#PANELS.get(aTab);
+    if (this.#LOADS.has(aTab)) this.#LOADS.get(aTab).abort();
+    let controller = new AbortController();
+    this.#LOADS.set(aTab, controller);
+    // Moving the tab to another tabpanel (or destroying this one) aborts the request.
+    this.#TABLISTENERS.get(aTab).signal.addEventListener('abort', function () { controller.abort(); }, { signal: controller.signal });
+    let index = this.tabs.indexOf(aTab);
+    panel.setAttribute('aria-busy', 'true');
+    swapHtml(panel, this.constructor.loadingHtml);
+    try {
+      await AK.load(panel, url, 'innerHTML', controller.signal);
+      LOADED_PANELS.add(panel);
+      this.el.dispatchEvent(new CustomEvent('tabload', { detail: { tab: aTab, panel: panel, index: index, url: url } }));
+      return true;
+    }
+    catch (aError) {
+      if (controller.signal.aborted) return false;
+      swapHtml(panel, this.constructor.errorHtml);
+      let detail = { tab: aTab, panel: panel, index: index, url: url, error: aError };
+      if (this.el.dispatchEvent(new CustomEvent('tabloaderror', { cancelable: true, detail: detail })))
+        console.error(aError);
+      return false;
+    }
+    finally {
+      if (this.#LOADS.get(aTab) === controller) {
+        this.#LOADS.delete(aTab);
+        panel.removeAttribute('aria-busy');
       }
+      controller.abort(); // Releases the listener added to the tab signal.
     }
   };
+  /**
+   * Returns the tab corresponding to the given reference, null if not found.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @returns {Element | null}
+   */
+  #findTab(aTabRef) {
+    if (typeof(aTabRef) === 'number') return this.#HEADER.children[aTabRef] ?? null;
+    let element = (typeof(aTabRef) === 'string') ? this.el.ownerDocument.getElementById(aTabRef) : aTabRef;
+    if (!isElement(element)) return null;
+    if (element.parentElement === this.#HEADER) return element;
+    let ref = this;
+    return this.tabs.find(function (aTab) { return ref.#PANELS.get(aTab) === element; }) ?? null;
+  };
+  /**
+   * Inserts (or moves) tab and panel at the given position, clamped to the count of the other tabs.
+   * @param {Element} aTab @param {Element} aPanel @param {Number} aIndex
+   * @returns {Number} The actual position
+   */
+  #placeTab(aTab, aPanel, aIndex) {
+    let others = this.tabs.filter(function (aItem) { return aItem !== aTab; });
+    let index = Math.max(0, Math.min(aIndex, others.length));
+    let next = others[index] ?? null;
+    this.#HEADER.insertBefore(aTab, next);
+    this.#BODY.insertBefore(aPanel, next ? this.#PANELS.get(next) : null);
+    return index;
+  };
+  /**
+   * Returns the tabpanel (and the position) where a tab would be dropped at the given point, null if it cannot be dropped there.
+   * @param {Element} aTab The dragged tab @param {Number} aX @param {Number} aY
+   * @returns {{tabPanel: AKUiTabPanel, index: Number, next: Element | null} | null}
+   */
+  #dropTarget(aTab, aX, aY) {
+    let header = this.el.ownerDocument.elementFromPoint(aX, aY)?.closest('.ak-tabpanel-header');
+    let tabPanel = header ? TABPANEL_HEADERS.get(header) : null;
+    if (!tabPanel || !tabPanel.el.hasAttribute('reorderable')) return null;
+    if ((tabPanel !== this) && ((tabPanel.el.getAttribute('drag-group') ?? '') !== (this.el.getAttribute('drag-group') ?? ''))) return null;
+    let others = tabPanel.tabs.filter(function (aItem) { return aItem !== aTab; });
+    let index = others.findIndex(function (aItem) {
+      let rect = aItem.getBoundingClientRect();
+      return aX < rect.left + (rect.width / 2);
+    });
+    if (index < 0) index = others.length;
+    return { tabPanel: tabPanel, index: index, next: others[index] ?? null };
+  };
+  /** Draggable tabs don't scroll the page on touch devices (pointermove can't prevent it). @param {Element} aTab */
+  #setTouchAction(aTab) { aTab.style.touchAction = this.el.hasAttribute('reorderable') ? 'none' : ''; };
+  /** @param {PointerEvent} aEvent */
+  #dragStart(aEvent) {
+    if ((aEvent.button !== 0) || !this.el.hasAttribute('reorderable') || aEvent.target.closest('.ak-close-button')) return;
+    let tab = aEvent.target;
+    while (tab && (tab.parentElement !== this.#HEADER)) tab = tab.parentElement;
+    if (!tab) return;
+    let ref = this;
+    let doc = this.el.ownerDocument;
+    let dragging = false;
+    /** @type {{tabPanel: AKUiTabPanel, index: Number, next: Element | null} | null} */
+    let drop = null;
+    /** @type {Element} Element marking the drop position */
+    let marker = null;
+    let clearMarker = function () {
+      if (marker) marker.classList.remove('ak-tabpanel-drop-before', 'ak-tabpanel-drop-end');
+      marker = null;
+    };
+    if (this.#DRAG) this.#DRAG.abort();
+    let drag = new AbortController();
+    this.#DRAG = drag;
+    drag.signal.addEventListener('abort', function () {
+      clearMarker();
+      tab.classList.remove('ak-tabpanel-dragging');
+      if (ref.#DRAG === drag) ref.#DRAG = null;
+    });
+    doc.addEventListener('pointermove', function (aMove) {
+      if (aMove.pointerId !== aEvent.pointerId) return;
+      if (!dragging) {
+        if (Math.hypot(aMove.clientX - aEvent.clientX, aMove.clientY - aEvent.clientY) < TAB_DRAG_THRESHOLD) return;
+        dragging = true;
+        tab.classList.add('ak-tabpanel-dragging');
+      }
+      aMove.preventDefault();
+      clearMarker();
+      drop = ref.#dropTarget(tab, aMove.clientX, aMove.clientY);
+      if (!drop) return;
+      marker = drop.next ?? drop.tabPanel.#HEADER;
+      marker.classList.add(drop.next ? 'ak-tabpanel-drop-before' : 'ak-tabpanel-drop-end');
+    }, { signal: drag.signal });
+    doc.addEventListener('pointerup', function (aUp) {
+      if (aUp.pointerId !== aEvent.pointerId) return;
+      drag.abort();
+      if (!dragging) return;
+      // Swallowing the click following the drag, if any (it would activate the tab under the pointer).
+      let suppress = function (aClick) {
+        aClick.preventDefault();
+        aClick.stopPropagation();
+      };
+      doc.addEventListener('click', suppress, { capture: true, once: true });
+      setTimeout(function () { doc.removeEventListener('click', suppress, { capture: true }); });
+      if (drop) ref.transferTab(tab, drop.tabPanel, drop.index);
+    }, { signal: drag.signal });
+    doc.addEventListener('pointercancel', function () { drag.abort(); }, { signal: drag.signal });
+  };
   #setActiveTab() {
     this.#ACTIVETAB = -1;
     if (this.#COUNT > 0) {
       let tabs = this.#HEADER.children;
       for (let i = 0; i < this.#COUNT; i++)
         if (tabs[i].classList.contains('ak-tabpanel-active')) {
-          this.#ACTIVETAB = i;
+          this.#activateTab(tabs[i]);
           return;
         }
       this.#activateTab(tabs[this.#COUNT - 1]);
@@ -80,20 +610,286 @@ class AKUiTabPanel extends AKUiElement {
   #tabRemoved(aTab) {
     // this should trigger only when a tab is being removed - the corresponding panel has to be removed.
     if (!isElement(aTab)) return;
-    let panelId = aTab.getAttribute('panel-id');
-    this.constructor.AKAssert(isNonEmptyStr(panelId));
-    for (let i = 0; i < this.#COUNT; i++)
-      if (this.#BODY.children[i].id === panelId) {
-        this.#BODY.children[i].remove();
-        break;
-      }
+    let panel = this.#PANELS.get(aTab);
+    this.constructor.AKAssert(panel);
+    this.#PANELS.delete(aTab);
+    this.#TABLISTENERS.get(aTab).abort();
+    this.#TABLISTENERS.delete(aTab);
+    panel.remove();
     this.#COUNT--;
     this.#setActiveTab();
+    this.#updateOverflow();
+    this.#saveState(false);
+  };
+  /** Scrolls the header (only) so that the given tab is visible. @param {Element} aTab */
+  #scrollToTab(aTab) {
+    let headerRect = this.#HEADER.getBoundingClientRect();
+    let tabRect = aTab.getBoundingClientRect();
+    if (tabRect.left < headerRect.left)
+      this.#HEADER.scrollLeft -= headerRect.left - tabRect.left;
+    else if (tabRect.right > headerRect.right)
+      this.#HEADER.scrollLeft += Math.min(tabRect.right - headerRect.right, tabRect.left - headerRect.left);
+  };
+  /** @returns {Element[]} The tabs that are not entirely visible in the header */
+  #hiddenTabs() {
+    let headerRect = this.#HEADER.getBoundingClientRect();
+    return this.tabs.filter(function (aTab) {
+      let rect = aTab.getBoundingClientRect();
+      return (rect.left < headerRect.left) || (rect.right > headerRect.right);
+    });
+  };
+  /** Adds the controls and the resize observer required by the overflow attribute (if set). */
+  #setupOverflow() {
+    let value = this.el.getAttribute('overflow');
+    if (value === null) return;
+    let mode = OVERFLOW_MODES.find(function (aItem) { return sameText(aItem, value); }) ?? OVERFLOW_MODES[0];
+    let ref = this;
+    let header = this.#HEADER;
+    let doc = this.el.ownerDocument;
+    this.#OVERFLOW = new AbortController();
+    let signal = this.#OVERFLOW.signal;
+    if (mode === 'scroll') {
+      let previous = createControlButton(doc, 'ak-tabpanel-scroll-prev', 'Scroll tabs backward', '\u2039');
+      let next = createControlButton(doc, 'ak-tabpanel-scroll-next', 'Scroll tabs forward', '\u203A');
+      previous.addEventListener('click', function () { header.scrollBy({ left: -header.clientWidth, behavior: 'smooth' }); }, { signal: signal });
+      next.addEventListener('click', function () { header.scrollBy({ left: header.clientWidth, behavior: 'smooth' }); }, { signal: signal });
+      header.addEventListener('scroll', function () { ref.#updateOverflow(); }, { signal: signal });
+      header.before(previous);
+      header.after(next);
+      this.#CONTROLS = { previous: previous, next: next };
+    }
+    else {
+      let more = createControlButton(doc, 'ak-tabpanel-more', 'More tabs', '\u2026');
+      let menu = doc.createElement('div');
+      menu.className = 'ak-tabpanel-more-menu ak-hidden';
+      menu.setAttribute('role', 'menu');
+      more.setAttribute('aria-haspopup', 'menu');
+      more.setAttribute('aria-expanded', 'false');
+      more.setAttribute('aria-controls', ensureId(menu, 'ak-menu'));
+      more.addEventListener('click', function () {
+        if (menu.classList.contains('ak-hidden')) ref.#openOverflowMenu(); else ref.#closeOverflowMenu(false);
+      }, { signal: signal });
+      menu.addEventListener('keydown', function (aEvent) {
+        let items = Array.from(menu.children);
+        let index = items.indexOf(doc.activeElement);
+        switch (aEvent.key) {
+          case 'ArrowDown': items[modulo(index + 1, items.length)].focus(); break;
+          case 'ArrowUp': items[modulo(index - 1, items.length)].focus(); break;
+          case 'Enter':
+          case ' ':
+            if (index >= 0) items[index].click();
+            break;
+          case 'Escape': ref.#closeOverflowMenu(true); break;
+          case 'Tab': ref.#closeOverflowMenu(false); return;
+          default: return;
+        }
+        aEvent.preventDefault();
+      }, { signal: signal });
+      doc.addEventListener('pointerdown', function (aEvent) {
+        if (!menu.contains(aEvent.target) && !more.contains(aEvent.target)) ref.#closeOverflowMenu(false);
+      }, { signal: signal });
+      header.after(more, menu);
+      this.#CONTROLS = { more: more, menu: menu };
+    }
+    this.#RESIZE = new ResizeObserver(function () { ref.#updateOverflow(); });
+    this.#RESIZE.observe(header);
+    this.tabs.forEach(function (aTab) { ref.#RESIZE.observe(aTab); });
+  };
+  /** Removes the controls and the resize observer added by #setupOverflow. */
+  #teardownOverflow() {
+    if (this.#OVERFLOW) this.#OVERFLOW.abort();
+    if (this.#RESIZE) this.#RESIZE.disconnect();
+    Object.values(this.#CONTROLS).forEach(function (aControl) { aControl.remove(); });
+    this.#OVERFLOW = null;
+    this.#RESIZE = null;
+    this.#CONTROLS = {};
+    this.el.classList.remove('ak-tabpanel-overflowing');
+  };
+  /** Updates the overflowing class and the state of the overflow controls. */
+  #updateOverflow() {
+    if (!this.#OVERFLOW) return;
+    let header = this.#HEADER;
+    let overflowing = header.scrollWidth > header.clientWidth;
+    let controls = this.#CONTROLS;
+    this.el.classList.toggle('ak-tabpanel-overflowing', overflowing);
+    if (controls.previous) {
+      controls.previous.classList.toggle('ak-hidden', !overflowing);
+      controls.next.classList.toggle('ak-hidden', !overflowing);
+      controls.previous.disabled = header.scrollLeft <= 0;
+      controls.next.disabled = header.scrollLeft + header.clientWidth >= header.scrollWidth - 1;
+    }
+    else {
+      controls.more.classList.toggle('ak-hidden', !overflowing);
+      if (!overflowing) this.#closeOverflowMenu(false);
+    }
+  };
+  /** Fills the overflow menu with the hidden tabs and opens it. */
+  #openOverflowMenu() {
+    let ref = this;
+    let doc = this.el.ownerDocument;
+    let menu = this.#CONTROLS.menu;
+    menu.replaceChildren(...this.#hiddenTabs().map(function (aTab) {
+      let item = doc.createElement('div');
+      item.className = 'ak-tabpanel-more-item';
+      item.textContent = tabTitle(aTab);
+      item.setAttribute('role', 'menuitem');
+      item.setAttribute('tabindex', '-1');
+      item.addEventListener('click', function () {
+        ref.#closeOverflowMenu(false);
+        ref.#activateTab(aTab);
+        aTab.focus();
+      });
+      return item;
+    }));
+    menu.classList.remove('ak-hidden');
+    this.#CONTROLS.more.setAttribute('aria-expanded', 'true');
+    if (menu.firstElementChild) menu.firstElementChild.focus();
+  };
+  /** @param {Boolean} aFocusButton Whether the focus goes back to the more button */
+  #closeOverflowMenu(aFocusButton) {
+    let controls = this.#CONTROLS;
+    if (!controls.menu || controls.menu.classList.contains('ak-hidden')) return;
+    controls.menu.classList.add('ak-hidden');
+    controls.menu.replaceChildren();
+    controls.more.setAttribute('aria-expanded', 'false');
+    if (aFocusButton) controls.more.focus();
   };
-  #applyListenersToTab(aTab) {
+  /** @returns {string | null} The persist attribute value, null when the state is not persisted */
+  #persistMode() {
+    let mode = this.el.getAttribute('persist');
+    if ((mode === null) || !this.el.id) return null;
+    return PERSIST_MODES.find(function (aItem) { return sameText(aItem, mode); }) ?? null;
+  };
+  /** @param {Boolean} aPush Whether the history mode adds a new history entry */
+  #saveState(aPush) {
+    let mode = this.#persistMode();
+    if (!mode || this.#RESTORING) return;
+    /** @type {AKTabPanelState} */
+    let active = this.activeTab;
+    let state = { active: (active && !GENERATED_TAB_IDS.has(active)) ? active.id : this.#ACTIVETAB, tabs: [] };
+    this.tabs.forEach(function (aTab, aIndex) {
+      if (DYNAMIC_TABS.has(aTab) && aTab.hasAttribute('panel-src'))
+        state.tabs.push({
+          index: aIndex,
+          title: DYNAMIC_TABS.get(aTab),
+          src: aTab.getAttribute('panel-src'),
+          closable: Boolean(aTab.querySelector(':scope > .ak-close-button'))
+        });
+    });
+    writeTabPanelState(this.el.ownerDocument.defaultView, mode, this.el.id, state, aPush);
+  };
+  /**
+   * Activates the persisted active tab, after adding the persisted tabs (when requested).
+   * @param {AKTabPanelState} aState @param {Boolean} aAddTabs
+   * @returns {Boolean} False when the active tab is not found
+   */
+  #restoreState(aState, aAddTabs) {
     let ref = this;
-    aTab.addEventListener('click', function (aEvent) { ref.#activateTab(aTab); });
-    aTab.addEventListener('destroy', function (aEvent) { ref.#tabRemoved(aTab); });
+    this.#RESTORING = true;
+    try {
+      if (aAddTabs && Array.isArray(aState.tabs))
+        aState.tabs.forEach(function (aItem) {
+          let exists = ref.tabs.some(function (aTab) { return DYNAMIC_TABS.has(aTab) && (aTab.getAttribute('panel-src') === aItem.src); });
+          if (!exists && isNonEmptyStr(aItem.src)) ref.#createTab(aItem.index, aItem.title, aItem.src, aItem.closable);
+        });
+      // Tab ids first, then indexes (the hash mode reads them as strings too).
+      let tab = this.#findTab(aState.active);
+      if (!tab && (typeof(aState.active) === 'string') && /^\d+$/.test(aState.active)) tab = this.#findTab(Number(aState.active));
+      if (tab) this.#activateTab(tab);
+      return Boolean(tab);
+    }
+    finally {
+      this.#RESTORING = false;
+    }
+  };
+  /**
+   * Creates (without activating it) a tab with its panel, see insertTab.
+   * @param {Number} aIndex @param {string} aTitle @param {Element | string} aPanel @param {Boolean} aClosable
+   * @returns {Element} The new tab
+   */
+  #createTab(aIndex, aTitle, aPanel, aClosable) {
+    this.constructor.AKAssert(isElement(aPanel) || isNonEmptyStr(aPanel));
+    let panel = isElement(aPanel) ? aPanel : this.el.ownerDocument.createElement('div');
+    let tab = AK.createChild(this.#HEADER, 'div', suffixedId(panel, '-tab'), 'ak-tabpanel-tab', panel.id ? { 'panel-id': panel.id } : {});
+    if (tab.id) panel.setAttribute('tab-id', tab.id);
+    if (!isElement(aPanel)) tab.setAttribute('panel-src', aPanel);
+    this.#placeTab(tab, panel, aIndex);
+    tab.innerText = aTitle ?? '\xA0';
+    DYNAMIC_TABS.set(tab, aTitle ?? '');
+    if (aClosable)
+      AK.createChildAKObject(tab, 'div', suffixedId(tab, '-close'), 'CloseElementButton');
+    this.#COUNT++;
+    this.#setupTab(tab, panel);
+    return tab;
+  };
+  /**
+   * Closes the tab through its close button, as a click does (confirmation and beforeclose included).
+   * @param {Element} aTab @param {Event} aTrigger
+   * @returns {Boolean} False when the tab has no close button
+   */
+  #closeTab(aTab, aTrigger) {
+    let button = Array.from(aTab.children).find(function (aChild) { return AKUiCloseElementButton.is(aChild); });
+    if (!button) return false;
+    AK.as(button, AKUiCloseElementButton.is(button).className).closeSync(aTrigger).catch(function (aError) { console.error(aError); });
+    return true;
+  };
+  /** @param {KeyboardEvent} aEvent */
+  #tabKeyDown(aEvent) {
+    let tabs = Array.from(this.#HEADER.children);
+    let index = tabs.indexOf(aEvent.target);
+    if (index < 0) return; // Keys pressed on the tab children (e.g. the close button).
+    let next = -1;
+    switch (aEvent.key) {
+      case 'ArrowLeft': next = modulo(index - 1, tabs.length); break;
+      case 'ArrowRight': next = modulo(index + 1, tabs.length); break;
+      case 'Home': next = 0; break;
+      case 'End': next = tabs.length - 1; break;
+      case 'Enter':
+      case ' ':
+        this.#activateTab(tabs[index]);
+        break;
+      case 'Delete':
+        if (!this.#closeTab(tabs[index], aEvent)) return;
+        break;
+      default: return;
+    }
+    aEvent.preventDefault();
+    if (next < 0) return;
+    tabs[next].focus();
+    if (!sameText(this.el.getAttribute('activation') ?? 'auto', 'manual'))
+      this.#activateTab(tabs[next]);
+  };
+  /** Links tab and panel (ARIA attributes included) and adds the tab listeners. @param {Element} aTab @param {Element} aPanel */
+  #setupTab(aTab, aPanel) {
+    this.#PANELS.set(aTab, aPanel);
+    aTab.setAttribute('role', 'tab');
+    if (!aTab.id) GENERATED_TAB_IDS.add(aTab);
+    aTab.setAttribute('aria-controls', ensureId(aPanel, 'ak-panel'));
+    aTab.setAttribute('tabindex', '-1');
+    aTab.setAttribute('aria-selected', 'false');
+    aPanel.setAttribute('role', 'tabpanel');
+    aPanel.setAttribute('aria-labelledby', ensureId(aTab, 'ak-tab'));
+    if (!aPanel.hasAttribute('tabindex')) aPanel.setAttribute('tabindex', '0');
+    this.#setTouchAction(aTab);
+    // Close buttons are not in the tab sequence, whatever the tab origin: closable tabs are closed with the Delete key.
+    Array.from(aTab.children).forEach(function (aChild) {
+      if (AKUiCloseElementButton.is(aChild)) aChild.setAttribute('tabindex', '-1');
+    });
+    let ref = this;
+    let controller = new AbortController();
+    this.#SIGNAL.addEventListener('abort', function () { controller.abort(); }, { signal: controller.signal });
+    this.#TABLISTENERS.set(aTab, controller);
+    let signal = controller.signal;
+    if (this.#RESIZE) this.#RESIZE.observe(aTab);
+    signal.addEventListener('abort', function () { if (ref.#RESIZE) ref.#RESIZE.unobserve(aTab); });
+    aTab.addEventListener('click', function (aEvent) { ref.#activateTab(aTab); }, { signal: signal });
+    aTab.addEventListener('destroy', function (aEvent) { ref.#tabRemoved(aTab); }, { signal: signal });
+    aTab.addEventListener('beforeclose', function (aEvent) {
+      // Closing goes through removeTab, so that tabbeforeclose gets dispatched (without undo: the tab and its panel
+      // are paired by position, no undo bar can take their place).
+      aEvent.preventDefault();
+      ref.removeTab(aTab);
+    }, { signal: signal });
   };
 
   /** @param {Element} aElement @override */
@@ -101,45 +897,1710 @@ class AKUiTabPanel extends AKUiElement {
     super._applyClass(aElement);
     this.#HEADER = aElement.getElementsByClassName('ak-tabpanel-header')[0];
     if (!this.#HEADER)
-      this.#HEADER = aElement.createChildElement('div', aElement.id + '-hdr', 'ak-tabpanel-header');
+      this.#HEADER = AK.createChild(aElement, 'div', suffixedId(aElement, '-hdr'), 'ak-tabpanel-header');
     this.#BODY = aElement.getElementsByClassName('ak-tabpanel-body')[0];
     if (!this.#BODY)
-      this.#BODY = aElement.createChildElement('div', aElement.id + '-body', 'ak-tabpanel-body');
+      this.#BODY = AK.createChild(aElement, 'div', suffixedId(aElement, '-body'), 'ak-tabpanel-body');
+    this.#HEADER.setAttribute('role', 'tablist');
+    TABPANEL_HEADERS.set(this.#HEADER, this);
+    let ref = this;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    this.#SIGNAL = signal;
+    this.#HEADER.addEventListener('keydown', function (aEvent) { ref.#tabKeyDown(aEvent); }, { signal: signal });
+    this.#HEADER.addEventListener('pointerdown', function (aEvent) { ref.#dragStart(aEvent); }, { signal: signal });
     this.#COUNT = this.#HEADER.childElementCount;
     this.constructor.AKAssert(this.#COUNT === this.#BODY.childElementCount);
     if (this.#COUNT > 0)
       for (let i = 0; i < this.#COUNT; i++)
-        this.#applyListenersToTab(this.#HEADER.children[i]);
-    this.#setActiveTab();
+        this.#setupTab(this.#HEADER.children[i], this.#BODY.children[i]);
+    if (aElement.hasAttribute('persist') && !aElement.id)
+      console.warn('TabPanel state not persisted: the element has no id.');
+    let mode = this.#persistMode();
+    let win = aElement.ownerDocument.defaultView;
+    let state = mode ? readTabPanelState(win, mode, aElement.id) : null;
+    this.#setupOverflow();
+    if (!(state && this.#restoreState(state, true)))
+      this.#setActiveTab();
+    if (mode === 'hash')
+      win.addEventListener('hashchange', function () {
+        let current = readTabPanelState(win, mode, aElement.id);
+        if (current) ref.#restoreState(current, false);
+      }, { signal: signal });
+    else if (mode === 'history')
+      win.addEventListener('popstate', function (aEvent) {
+        let current = aEvent.state?.[PERSIST_KEY]?.[aElement.id];
+        if (current) ref.#restoreState(current, false);
+      }, { signal: signal });
   }
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName === 'reorderable') {
+      let ref = this;
+      this.tabs.forEach(function (aTab) { ref.#setTouchAction(aTab); });
+    }
+    if (aAttributeName !== 'overflow') return;
+    this.#teardownOverflow();
+    this.#setupOverflow();
+    if (this.activeTab) this.#scrollToTab(this.activeTab);
+  };
+  /** @override */
+  _beforeDestroy() {
+    super._beforeDestroy();
+    if (this.#DRAG) this.#DRAG.abort();
+    this.#teardownOverflow();
+    TABPANEL_HEADERS.delete(this.#HEADER);
+    this.#HEADER = null;
+    this.#BODY = null;
+    this.#COUNT = 0;
+    this.#ACTIVETAB = -1;
+  };
   /** @type {Number} */
   get count() { return this.#COUNT; };
   /** @type {Element} */
   get activeTab() { return this.#HEADER.children[this.#ACTIVETAB]; };
   /** @type {Element} */
   get activePanel() { return this.#BODY.children[this.#ACTIVETAB]; };
+  /** @type {Number} */
+  get activeIndex() { return this.#ACTIVETAB; };
+  /** The tab elements, in order. @type {Element[]} */
+  get tabs() { return Array.from(this.#HEADER.children); };
+  /** The panel elements, in order. @type {Element[]} */
+  get panels() { return Array.from(this.#BODY.children); };
 
   /**
-   * Adds a tab on the tabpanel and sets the given element as the corresponding panel.
+   * Activates the given tab.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @returns {Boolean} False when the tab is not found
+   */
+  activate(aTabRef) {
+    let tab = this.#findTab(aTabRef);
+    if (!tab) return false;
+    this.#activateTab(tab);
+    return true;
+  };
+  /**
+   * Removes the given tab along with its panel, unless the "tabbeforeclose" event gets canceled.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @returns {Boolean} Whether the tab has been removed
+   */
+  removeTab(aTabRef) {
+    let tab = this.#findTab(aTabRef);
+    if (!tab) return false;
+    let detail = { tab: tab, panel: this.#PANELS.get(tab), index: this.tabs.indexOf(tab) };
+    if (!this.el.dispatchEvent(new CustomEvent('tabbeforeclose', { cancelable: true, detail: detail }))) return false;
+    let hadFocus = tab.contains(tab.ownerDocument.activeElement);
+    tab.remove();
+    AK.destroy(tab); // Synchronously, without waiting for the destroy observer.
+    if (hadFocus && this.activeTab) this.activeTab.focus();
+    return true;
+  };
+
+  /**
+   * Adds a tab at the end of the tabpanel and sets the given element as the corresponding panel.
    * @param {string} aTitle 
-   * @param {Element} aPanel 
+   * @param {Element | string} aPanel The panel, or the URL of its content (see insertTab)
    * @param {Boolean} [aClosable=true]
    */
-  addTab(aTitle, aPanel, aClosable = true) {
-    this.constructor.AKAssert(isElement(aPanel));
-    this.constructor.AKAssert(aPanel.id);
-    let tab = this.#HEADER.createChildElement('div', aPanel.id + '-tab', 'ak-tabpanel-tab', { 'panel-id': aPanel.id });
-    aPanel.setAttribute('tab-id', tab.id);
-    this.#BODY.appendChild(aPanel);    
-    tab.innerText = aTitle ?? '\xA0';
-    if (aClosable)
-      tab.createChildAKObject('div', tab.id + '-close', 'CloseElementButton');
-    this.#COUNT++;
+  addTab(aTitle, aPanel, aClosable = true) { this.insertTab(this.#COUNT, aTitle, aPanel, aClosable); };
+  /**
+   * Inserts a tab at the given position and sets the given element as the corresponding panel; the new tab gets activated.
+   * The tab-id/panel-id attributes linking the two are set only when the panel has an id.
+   * @param {Number} aIndex The position of the new tab (clamped to the tabs count)
+   * @param {string} aTitle 
+   * @param {Element | string} aPanel The panel, or the URL of its content: an empty panel is created and the URL is set as
+   * the panel-src of the tab
+   * @param {Boolean} [aClosable=true]
+   * @returns {Element} The new tab
+   */
+  insertTab(aIndex, aTitle, aPanel, aClosable = true) {
+    let tab = this.#createTab(aIndex, aTitle, aPanel, aClosable);
     this.#activateTab(tab);
-    this.#applyListenersToTab(tab);
+    return tab;
+  };
+  /**
+   * Fetches again the panel-src content of the given tab.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @returns {Promise<Boolean>} False when the tab is not found, has no panel-src or the request fails
+   */
+  async reloadPanelSync(aTabRef) {
+    let tab = this.#findTab(aTabRef);
+    if (!tab || !tab.hasAttribute('panel-src')) return false;
+    return this.#loadPanelSync(tab);
+  };
+  /**
+   * Moves a tab (and its panel) to the given position.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @param {Number} aIndex The new position of the tab (clamped to the tabs count)
+   * @returns {Boolean} False when the tab is not found
+   */
+  moveTab(aTabRef, aIndex) {
+    let tab = this.#findTab(aTabRef);
+    if (!tab) return false;
+    let panel = this.#PANELS.get(tab);
+    let from = this.tabs.indexOf(tab);
+    let hadFocus = tab.contains(tab.ownerDocument.activeElement);
+    let to = this.#placeTab(tab, panel, aIndex);
+    if (hadFocus) tab.focus();
+    if (from === to) return true;
+    this.#ACTIVETAB = this.tabs.findIndex(function (aItem) { return aItem.classList.contains('ak-tabpanel-active'); });
+    this.el.dispatchEvent(new CustomEvent('tabmove', { detail: { tab: tab, panel: panel, from: from, to: to, source: this, target: this } }));
+    this.#saveState(false);
+    return true;
+  };
+  /**
+   * Moves a tab (and its panel) to another tabpanel, where it gets activated.
+   * @param {Number | string | Element} aTabRef Index, id (of the tab or of its panel) or element (tab or panel)
+   * @param {AKUiTabPanel} aTarget The destination tabpanel
+   * @param {Number} [aIndex] The position of the tab in the destination tabpanel (defaults to the last one)
+   * @returns {Boolean} False when the tab is not found
+   */
+  transferTab(aTabRef, aTarget, aIndex = aTarget.count) {
+    this.constructor.AKAssert(aTarget instanceof AKUiTabPanel);
+    if (aTarget === this) return this.moveTab(aTabRef, aIndex);
+    let tab = this.#findTab(aTabRef);
+    if (!tab) return false;
+    let panel = this.#PANELS.get(tab);
+    let from = this.tabs.indexOf(tab);
+    this.#TABLISTENERS.get(tab).abort();
+    this.#TABLISTENERS.delete(tab);
+    this.#PANELS.delete(tab);
+    tab.classList.remove('ak-tabpanel-active');
+    let to = aTarget.#placeTab(tab, panel, aIndex);
+    this.#COUNT--;
+    this.#setActiveTab();
+    this.#updateOverflow();
+    aTarget.#COUNT++;
+    aTarget.#setupTab(tab, panel);
+    aTarget.#activateTab(tab);
+    let detail = { tab: tab, panel: panel, from: from, to: to, source: this, target: aTarget };
+    this.el.dispatchEvent(new CustomEvent('tabmove', { detail: detail }));
+    aTarget.el.dispatchEvent(new CustomEvent('tabmove', { detail: detail }));
+    this.#saveState(false);
+    aTarget.#saveState(false);
+    return true;
+  };
+};
+
+/**
+ * Modal dialog: open() shows it (with a .ak-dialog-backdrop element right before it) on top of the dialogs already open,
+ * close() hides it, closing first the dialogs opened on top of it, and focuses back the element focused before opening.
+ * The Tab key cycles through the dialog elements; backdrop clicks and the Escape key close the topmost dialog, after
+ * dispatching the cancelable "beforeclose" event, unless it has the `static` attribute.
+ *
+ * The `open` attribute reflects (and sets) the state, as does the `hidden` attribute (set while closed); the "open" and
+ * "close" events are dispatched on the element, so that its content can be loaded by an AKComponent declaring the
+ * "open once" trigger. Backdrop and dialog have the `--ak-dialog-level` CSS property set to their stacking level
+ * (starting from 1).
+ */
+class AKUiDialog extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-dialog']; };
+  /** @override */
+  static get observedAtts() { return ['open']; };
+  /** @type {Element} */
+  #BACKDROP = null;
+  /** Element focused before opening the dialog, focused again when closing it. @type {Element} */
+  #RETURNFOCUS = null;
+  /** Controller of the listeners added while the dialog is open. @type {AbortController} */
+  #OPENED = null;
+
+  #focusFirst() {
+    let target = this.el.querySelector('[autofocus]') ?? focusableElements(this.el)[0] ?? this.el;
+    target.focus();
+  };
+  /** Closes the dialog through the backdrop or the Escape key. @param {Event} aTrigger */
+  #dismiss(aTrigger) {
+    if (this.el.hasAttribute('static')) return;
+    if (this.el.dispatchEvent(new CustomEvent('beforeclose', { cancelable: true, detail: { button: null, trigger: aTrigger } })))
+      this.close(aTrigger);
+  };
+  /** @param {KeyboardEvent} aEvent */
+  #keyDown(aEvent) {
+    if (aEvent.key === 'Escape') {
+      aEvent.preventDefault();
+      this.#dismiss(aEvent);
+      return;
+    }
+    if (aEvent.key !== 'Tab') return;
+    let items = focusableElements(this.el);
+    let active = this.el.ownerDocument.activeElement;
+    if (items.length === 0) {
+      aEvent.preventDefault();
+      this.el.focus();
+    }
+    else if (aEvent.shiftKey && ((active === items[0]) || (active === this.el))) {
+      aEvent.preventDefault();
+      items[items.length - 1].focus();
+    }
+    else if (!aEvent.shiftKey && (active === items[items.length - 1])) {
+      aEvent.preventDefault();
+      items[0].focus();
+    }
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    if (!aElement.hasAttribute('role')) aElement.setAttribute('role', 'dialog');
+    aElement.setAttribute('aria-modal', 'true');
+    if (!aElement.hasAttribute('tabindex')) aElement.setAttribute('tabindex', '-1');
+    this.toggleAttribute('hidden', true);
+  };
+  /** @override */
+  _afterInitialization() {
+    super._afterInitialization();
+    if (this.el.hasAttribute('open')) this.open();
+  };
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName === 'open') {
+      if (aNewValue === null) this.close(); else this.open();
+    }
+    else if (aAttributeName === 'hidden') {
+      if (aNewValue === null) this.open(); else this.close();
+    }
+  };
+  /** @override */
+  _beforeDestroy() {
+    this.close();
+    super._beforeDestroy();
+  };
+  /** Whether the dialog is open. @type {Boolean} */
+  get opened() { return Boolean(this.#OPENED); };
+  /** Whether the dialog is the topmost open one. @type {Boolean} */
+  get topmost() { return DIALOG_STACK[DIALOG_STACK.length - 1] === this; };
+
+  /**
+   * Opens the dialog on top of the open ones and moves the focus into it.
+   * @param {Event | null} [aTrigger=null] The event that opened the dialog (if any)
+   * @returns {Boolean} False when already open
+   */
+  open(aTrigger = null) {
+    if (this.opened) return false;
+    let ref = this;
+    let element = this.el;
+    let doc = element.ownerDocument;
+    this.#RETURNFOCUS = doc.activeElement;
+    this.#OPENED = new AbortController();
+    let signal = this.#OPENED.signal;
+    this.#BACKDROP = doc.createElement('div');
+    this.#BACKDROP.className = 'ak-dialog-backdrop';
+    element.before(this.#BACKDROP);
+    DIALOG_STACK.push(this);
+    let level = String(DIALOG_STACK.length);
+    this.#BACKDROP.style.setProperty('--ak-dialog-level', level);
+    element.style.setProperty('--ak-dialog-level', level);
+    this.toggleAttribute('hidden', false);
+    element.setAttribute('open', '');
+    this.#BACKDROP.addEventListener('click', function (aEvent) { ref.#dismiss(aEvent); }, { signal: signal });
+    doc.addEventListener('keydown', function (aEvent) { if (ref.topmost) ref.#keyDown(aEvent); }, { signal: signal });
+    doc.addEventListener('focusin', function (aEvent) {
+      if (ref.topmost && !element.contains(aEvent.target)) ref.#focusFirst();
+    }, { signal: signal });
+    this.#focusFirst();
+    element.dispatchEvent(new CustomEvent('open', { detail: { trigger: aTrigger } }));
+    return true;
+  };
+  /**
+   * Closes the dialog (and the ones opened on top of it), focusing back the element focused before opening it.
+   * @param {Event | null} [aTrigger=null] The event that closed the dialog (if any)
+   * @returns {Boolean} False when not open
+   */
+  close(aTrigger = null) {
+    if (!this.opened) return false;
+    while (!this.topmost) DIALOG_STACK[DIALOG_STACK.length - 1].close(aTrigger);
+    DIALOG_STACK.pop();
+    this.#OPENED.abort();
+    this.#OPENED = null;
+    this.#BACKDROP.remove();
+    this.#BACKDROP = null;
+    let element = this.el;
+    this.toggleAttribute('hidden', true);
+    element.removeAttribute('open');
+    element.style.removeProperty('--ak-dialog-level');
+    let focus = this.#RETURNFOCUS;
+    this.#RETURNFOCUS = null;
+    if (focus && focus.isConnected && (typeof(focus.focus) === 'function')) focus.focus();
+    element.dispatchEvent(new CustomEvent('close', { detail: { trigger: aTrigger } }));
+    return true;
+  };
+};
+/**
+ * Numeric stepper: an input (created when missing) between a decrement and an increment button.
+ * The `min`, `max` and `step` (default 1) attributes bound the value; `locale` and `currency` set its formatting
+ * through Intl.NumberFormat. Arrow Up/Down change the value by a step (Page Up/Down by ten steps, Home/End set min/max),
+ * as does the mouse wheel over the focused input. Out of range or not numeric values (empty ones too, when `required`)
+ * set the `invalid` attribute; `disabled` and `readonly` disable the buttons and apply to the input.
+ *
+ * A "change" event is dispatched on the input when the value changes through the buttons, the keyboard or the wheel
+ * (typing dispatches the native one). A named input gets its name moved to a hidden input submitting the unformatted value.
+ */
+class AKUiCounter extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-counter']; };
+  /** @override */
+  static get observedAtts() { return ['min', 'max', 'step', 'locale', 'currency']; };
+  /** @type {HTMLInputElement} */
+  #INPUT = null;
+  /** Hidden input submitting the unformatted value, when the input is named. @type {HTMLInputElement} */
+  #FIELD = null;
+  /** @type {HTMLButtonElement} */
+  #DECREMENT = null;
+  /** @type {HTMLButtonElement} */
+  #INCREMENT = null;
+  /** The value: null when empty, NaN when not numeric. @type {Number | null} */
+  #VALUE = null;
+  /** Whether the change event being dispatched comes from the counter itself. @type {Boolean} */
+  #NOTIFYING = false;
+
+  /** @param {string} aAttributeName @returns {Number | null} The numeric attribute value, null when not set (or not numeric) */
+  #numberAttribute(aAttributeName) {
+    let value = parseFloat(this.el.getAttribute(aAttributeName));
+    return Number.isFinite(value) ? value : null;
+  };
+  /**
+   * @param {Number} aValue The value to format
+   * @returns {Intl.NumberFormat} The default formatter when the locale or the currency is not valid
+   */
+  #formatter(aValue) {
+    let currency = this.el.getAttribute('currency');
+    let digits = { maximumFractionDigits: Math.min(Math.max(decimalDigits(this.step), decimalDigits(aValue)), 20) };
+    try {
+      return new Intl.NumberFormat(this.el.getAttribute('locale') ?? undefined,
+        currency ? { style: 'currency', currency: currency } : digits);
+    }
+    catch (aError) {
+      return new Intl.NumberFormat(undefined, digits);
+    }
+  };
+  /** @returns {Boolean} Whether the buttons, keys and wheel can change the value */
+  #editable() { return !this.el.hasAttribute('disabled') && !this.el.hasAttribute('readonly'); };
+  /** Shows the value and updates the validity, the ARIA attributes and the state of the buttons. */
+  #render() {
+    let input = this.#INPUT;
+    let value = this.#VALUE;
+    let min = this.min;
+    let max = this.max;
+    let numeric = (value !== null) && !Number.isNaN(value);
+    // Not numeric text is left as typed.
+    if (!Number.isNaN(value)) input.value = numeric ? this.#formatter(value).format(value) : '';
+    if (this.#FIELD) this.#FIELD.value = numeric ? String(value) : '';
+    input.disabled = this.el.hasAttribute('disabled');
+    input.readOnly = this.el.hasAttribute('readonly');
+    let invalid = Number.isNaN(value) || ((value === null) && this.el.hasAttribute('required'))
+      || (numeric && (((min !== null) && (value < min)) || ((max !== null) && (value > max))));
+    if (invalid !== this.el.hasAttribute('invalid')) this.toggleAttribute('invalid', invalid);
+    input.setAttribute('aria-invalid', String(invalid));
+    if (min === null) input.removeAttribute('aria-valuemin'); else input.setAttribute('aria-valuemin', String(min));
+    if (max === null) input.removeAttribute('aria-valuemax'); else input.setAttribute('aria-valuemax', String(max));
+    if (numeric) input.setAttribute('aria-valuenow', String(value)); else input.removeAttribute('aria-valuenow');
+    this.#DECREMENT.disabled = !this.#editable() || (numeric && (min !== null) && (value <= min));
+    this.#INCREMENT.disabled = !this.#editable() || (numeric && (max !== null) && (value >= max));
+  };
+  /** @param {Number | null} aValue @param {Boolean} aNotify Whether to dispatch the change event */
+  #setValue(aValue, aNotify) {
+    let previous = this.#VALUE;
+    this.#VALUE = aValue;
+    this.#render();
+    if (!aNotify || Object.is(previous, aValue)) return;
+    this.#NOTIFYING = true;
+    try {
+      this.#INPUT.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    finally {
+      this.#NOTIFYING = false;
+    }
+  };
+  /**
+   * Changes the value by the given count of steps, within min and max.
+   * @param {Number} aCount Negative to decrease the value @param {Boolean} aNotify
+   */
+  #step(aCount, aNotify) {
+    let min = this.min;
+    let max = this.max;
+    let value = this.#VALUE;
+    if ((value === null) || Number.isNaN(value)) value = (min !== null) && (min > 0) ? min : 0;
+    else value += aCount * this.step;
+    value = Number(value.toFixed(Math.min(Math.max(decimalDigits(this.step), decimalDigits(this.#VALUE ?? 0)), 20)));
+    if ((min !== null) && (value < min)) value = min;
+    if ((max !== null) && (value > max)) value = max;
+    this.#setValue(value, aNotify);
+  };
+  /** @param {KeyboardEvent} aEvent */
+  #keyDown(aEvent) {
+    if (!this.#editable()) return;
+    switch (aEvent.key) {
+      case 'ArrowUp': this.#step(1, true); break;
+      case 'ArrowDown': this.#step(-1, true); break;
+      case 'PageUp': this.#step(10, true); break;
+      case 'PageDown': this.#step(-10, true); break;
+      case 'Home':
+        if (this.min === null) return;
+        this.#setValue(this.min, true);
+        break;
+      case 'End':
+        if (this.max === null) return;
+        this.#setValue(this.max, true);
+        break;
+      default: return;
+    }
+    aEvent.preventDefault();
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    let ref = this;
+    let doc = aElement.ownerDocument;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    this.#INPUT = aElement.querySelector('input') ?? AK.createChild(aElement, 'input', suffixedId(aElement, '-input'), '');
+    let input = this.#INPUT;
+    input.classList.add('ak-counter-input');
+    if (input.disabled) this.toggleAttribute('disabled', true);
+    if (input.readOnly) this.toggleAttribute('readonly', true);
+    let initial = input.value || aElement.getAttribute('value') || '';
+    input.type = 'text';
+    input.setAttribute('role', 'spinbutton');
+    input.setAttribute('inputmode', 'decimal');
+    if (input.name) {
+      this.#FIELD = AK.createChild(aElement, 'input', '', '', { type: 'hidden', name: input.name });
+      input.removeAttribute('name');
+    }
+    this.#DECREMENT = createControlButton(doc, 'ak-counter-decrement', 'Decrease', '\u2212');
+    this.#INCREMENT = createControlButton(doc, 'ak-counter-increment', 'Increase', '+');
+    input.before(this.#DECREMENT);
+    input.after(this.#INCREMENT);
+    this.#DECREMENT.addEventListener('click', function () { ref.#step(-1, true); }, { signal: signal });
+    this.#INCREMENT.addEventListener('click', function () { ref.#step(1, true); }, { signal: signal });
+    input.addEventListener('keydown', function (aEvent) { ref.#keyDown(aEvent); }, { signal: signal });
+    input.addEventListener('wheel', function (aEvent) {
+      if ((doc.activeElement !== input) || !ref.#editable() || (aEvent.deltaY === 0)) return;
+      aEvent.preventDefault();
+      ref.#step((aEvent.deltaY < 0) ? 1 : -1, true);
+    }, { signal: signal, passive: false });
+    input.addEventListener('change', function () {
+      if (ref.#NOTIFYING) return;
+      let text = input.value.trim();
+      ref.#setValue(text ? parseLocaleNumber(text, ref.#formatter(0)) : null, false);
+    }, { signal: signal });
+    this.#VALUE = initial ? parseLocaleNumber(initial, this.#formatter(0)) : null;
+    this.#render();
+  };
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName !== 'invalid') this.#render();
+  };
+  /** @override */
+  _beforeDestroy() {
+    super._beforeDestroy();
+    this.#DECREMENT.remove();
+    this.#INCREMENT.remove();
+    if (this.#FIELD) {
+      this.#INPUT.name = this.#FIELD.name;
+      this.#FIELD.remove();
+    }
+    let input = this.#INPUT;
+    input.classList.remove('ak-counter-input');
+    ['role', 'inputmode', 'aria-invalid', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow'].forEach(function (aAttributeName) {
+      input.removeAttribute(aAttributeName);
+    });
+    this.#INPUT = null;
+    this.#FIELD = null;
+    this.#DECREMENT = null;
+    this.#INCREMENT = null;
+  };
+  /** The input element. @type {HTMLInputElement} */
+  get input() { return this.#INPUT; };
+  /** @type {Number | null} */
+  get min() { return this.#numberAttribute('min'); };
+  /** @type {Number | null} */
+  get max() { return this.#numberAttribute('max'); };
+  /** @type {Number} */
+  get step() {
+    let step = this.#numberAttribute('step');
+    return ((step !== null) && (step > 0)) ? step : 1;
+  };
+  /** The value: null when empty, NaN when the typed text is not a number. @type {Number | null} */
+  get value() { return this.#VALUE; };
+  /** Setting the value does not dispatch the change event (as for the native inputs). @type {Number | null} */
+  set value(aValue) { this.#setValue((aValue === null) || (aValue === '') ? null : Number(aValue), false); };
+  /** Increases the value by the given count of steps (within max), without dispatching the change event. @param {Number} [aCount=1] */
+  stepUp(aCount = 1) { this.#step(aCount, false); };
+  /** Decreases the value by the given count of steps (within min), without dispatching the change event. @param {Number} [aCount=1] */
+  stepDown(aCount = 1) { this.#step(-aCount, false); };
+};
+/**
+ * Expand/collapse section: clicking (or pressing Enter/Space on) its .ak-collapsible-header child shows or hides its
+ * .ak-collapsible-body child (both created when missing). The `open` attribute reflects (and sets) the state; the
+ * "open" and "close" events are dispatched on the element. The body height transition lasts `duration` milliseconds
+ * (default 200), none when the user prefers reduced motion.
+ */
+class AKUiCollapsible extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-collapsible']; };
+  /** @override */
+  static get observedAtts() { return ['open']; };
+  /** @type {Element} */
+  #HEADER = null;
+  /** @type {Element} */
+  #BODY = null;
+  /** @type {Boolean} */
+  #OPENED = false;
+  /** Timer ending the height transition in progress. @type {Number} */
+  #ANIMATION = 0;
+
+  /** Shows or hides the body, with a height transition. @param {Boolean} aOpen */
+  #animate(aOpen) {
+    let body = this.#BODY;
+    let win = this.el.ownerDocument.defaultView;
+    let duration = Number(this.el.getAttribute('duration') ?? 200);
+    let endAnimation = function () {
+      body.classList.toggle('ak-hidden', !aOpen);
+      ['height', 'overflow', 'transition'].forEach(function (aProperty) { body.style.removeProperty(aProperty); });
+    };
+    clearTimeout(this.#ANIMATION);
+    this.#ANIMATION = 0;
+    if (!(duration > 0) || win.matchMedia?.('(prefers-reduced-motion: reduce)').matches) {
+      endAnimation();
+      return;
+    }
+    // Starting from the current height, in case another transition is in progress.
+    let start = body.classList.contains('ak-hidden') ? 0 : body.getBoundingClientRect().height;
+    body.classList.remove('ak-hidden');
+    body.style.overflow = 'hidden';
+    body.style.transition = 'none';
+    body.style.height = start + 'px';
+    void body.offsetHeight; // Forces a reflow, so that the transition starts from the height just set.
+    body.style.transition = 'height ' + duration + 'ms ease';
+    body.style.height = (aOpen ? body.scrollHeight : 0) + 'px';
+    let ref = this;
+    this.#ANIMATION = setTimeout(function () {
+      ref.#ANIMATION = 0;
+      endAnimation();
+    }, duration);
+  };
+  /** @param {Boolean} aOpen @param {Event | null} aTrigger @returns {Boolean} False when already in the given state */
+  #setOpen(aOpen, aTrigger) {
+    if (aOpen === this.#OPENED) return false;
+    this.#OPENED = aOpen;
+    this.el.toggleAttribute('open', aOpen);
+    this.#HEADER.setAttribute('aria-expanded', String(aOpen));
+    this.#animate(aOpen);
+    this.el.dispatchEvent(new CustomEvent(aOpen ? 'open' : 'close', { detail: { trigger: aTrigger } }));
+    return true;
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    this.#HEADER = aElement.getElementsByClassName('ak-collapsible-header')[0];
+    if (!this.#HEADER)
+      this.#HEADER = AK.createChild(aElement, 'div', suffixedId(aElement, '-hdr'), 'ak-collapsible-header');
+    this.#BODY = aElement.getElementsByClassName('ak-collapsible-body')[0];
+    if (!this.#BODY)
+      this.#BODY = AK.createChild(aElement, 'div', suffixedId(aElement, '-body'), 'ak-collapsible-body');
+    let header = this.#HEADER;
+    if (!(header instanceof HTMLButtonElement)) {
+      header.setAttribute('role', 'button');
+      if (!header.hasAttribute('tabindex')) header.setAttribute('tabindex', '0');
+    }
+    header.setAttribute('aria-controls', ensureId(this.#BODY, 'ak-collapsible'));
+    this.#BODY.setAttribute('role', 'region');
+    this.#BODY.setAttribute('aria-labelledby', ensureId(header, 'ak-collapsible'));
+    this.#OPENED = aElement.hasAttribute('open');
+    header.setAttribute('aria-expanded', String(this.#OPENED));
+    this.#BODY.classList.toggle('ak-hidden', !this.#OPENED);
+    let ref = this;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    header.addEventListener('click', function (aEvent) { ref.toggle(aEvent); }, { signal: signal });
+    header.addEventListener('keydown', function (aEvent) {
+      // Buttons are clicked by Enter/Space natively.
+      if ((header instanceof HTMLButtonElement) || ((aEvent.key !== 'Enter') && (aEvent.key !== ' '))) return;
+      aEvent.preventDefault();
+      ref.toggle(aEvent);
+    }, { signal: signal });
+  };
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName === 'open') this.#setOpen(aNewValue !== null, null);
+  };
+  /** @override */
+  _beforeDestroy() {
+    super._beforeDestroy();
+    clearTimeout(this.#ANIMATION);
+    this.#HEADER = null;
+    this.#BODY = null;
+  };
+  /** @type {Element} */
+  get header() { return this.#HEADER; };
+  /** @type {Element} */
+  get body() { return this.#BODY; };
+  /** Whether the section is open. @type {Boolean} */
+  get opened() { return this.#OPENED; };
+
+  /**
+   * Shows the body.
+   * @param {Event | null} [aTrigger=null] The event that opened the section (if any)
+   * @returns {Boolean} False when already open
+   */
+  open(aTrigger = null) { return this.#setOpen(true, aTrigger); };
+  /**
+   * Hides the body.
+   * @param {Event | null} [aTrigger=null] The event that closed the section (if any)
+   * @returns {Boolean} False when already closed
+   */
+  close(aTrigger = null) { return this.#setOpen(false, aTrigger); };
+  /**
+   * Shows or hides the body.
+   * @param {Event | null} [aTrigger=null] The event that toggled the section (if any)
+   * @returns {Boolean} Whether the section is now open
+   */
+  toggle(aTrigger = null) {
+    this.#setOpen(!this.#OPENED, aTrigger);
+    return this.#OPENED;
+  };
+};
+/**
+ * Accordion: its .ak-accordion-section children are Collapsible sections (the class is declared when missing).
+ * Opening a section closes the other ones, unless the accordion has the `multiple` attribute. Arrow Up/Down, Home and
+ * End move the focus between the section headers. Sections can be inserted and removed at runtime.
+ */
+class AKUiAccordion extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-accordion']; };
+  /** Controller of the listeners of each section, aborted when the section is removed. @type {WeakMap<Element, AbortController>} */
+  #SECTIONLISTENERS = new WeakMap();
+  /** Signal of the instance listeners, aborting the section ones too once the accordion is destroyed. @type {AbortSignal} */
+  #SIGNAL = null;
+
+  /** @returns {Element[]} The section elements, in order */
+  #sectionElements() {
+    return Array.from(this.el.children).filter(function (aItem) { return aItem.classList.contains('ak-accordion-section'); });
+  };
+  /**
+   * Returns the Collapsible instance of the given section element, declaring the class when missing.
+   * @param {Element} aElement @returns {AKUiCollapsible}
+   */
+  #asSection(aElement) {
+    let akClass = AKUiCollapsible.is(aElement);
+    if (!akClass) {
+      aElement.setAttribute('ak-ui-classes', ((aElement.getAttribute('ak-ui-classes') ?? '') + ' Collapsible').trim());
+      akClass = AKUiCollapsible;
+    }
+    return AK.as(aElement, akClass.className);
+  };
+  /** @param {Element} aElement The section element */
+  #setupSection(aElement) {
+    let ref = this;
+    let section = this.#asSection(aElement);
+    let controller = new AbortController();
+    this.#SIGNAL.addEventListener('abort', function () { controller.abort(); }, { signal: controller.signal });
+    this.#SECTIONLISTENERS.set(aElement, controller);
+    aElement.addEventListener('open', function () {
+      if (ref.el.hasAttribute('multiple')) return;
+      ref.sections.forEach(function (aItem) { if (aItem !== section) aItem.close(); });
+    }, { signal: controller.signal });
+    // Sections removed from the DOM directly (e.g. by a swap) get released by the destroy observer.
+    aElement.addEventListener('destroy', function () { ref.#releaseSection(aElement); }, { signal: controller.signal });
+  };
+  /** Aborts the listeners added by #setupSection. @param {Element} aElement The section element */
+  #releaseSection(aElement) {
+    this.#SECTIONLISTENERS.get(aElement)?.abort();
+    this.#SECTIONLISTENERS.delete(aElement);
+  };
+  /**
+   * Returns the section corresponding to the given reference, null if not found.
+   * @param {Number | string | Element} aSectionRef Index, id or element of the section
+   * @returns {AKUiCollapsible | null}
+   */
+  #findSection(aSectionRef) {
+    let elements = this.#sectionElements();
+    let element = (typeof(aSectionRef) === 'number') ? elements[aSectionRef]
+      : (typeof(aSectionRef) === 'string') ? this.el.ownerDocument.getElementById(aSectionRef) : aSectionRef;
+    return elements.includes(element) ? this.#asSection(element) : null;
+  };
+  /** @param {KeyboardEvent} aEvent */
+  #keyDown(aEvent) {
+    let headers = this.sections.map(function (aSection) { return aSection.header; });
+    let index = headers.indexOf(aEvent.target);
+    if (index < 0) return;
+    let next = -1;
+    switch (aEvent.key) {
+      case 'ArrowUp': next = modulo(index - 1, headers.length); break;
+      case 'ArrowDown': next = modulo(index + 1, headers.length); break;
+      case 'Home': next = 0; break;
+      case 'End': next = headers.length - 1; break;
+      default: return;
+    }
+    aEvent.preventDefault();
+    headers[next].focus();
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    let ref = this;
+    this.#SIGNAL = AKObjectManager.instance.listenerAdded(aElement, this);
+    this.#sectionElements().forEach(function (aItem) { ref.#setupSection(aItem); });
+    if (!aElement.hasAttribute('multiple'))
+      this.sections.filter(function (aSection) { return aSection.opened; }).slice(1).forEach(function (aSection) { aSection.close(); });
+    aElement.addEventListener('keydown', function (aEvent) { ref.#keyDown(aEvent); }, { signal: this.#SIGNAL });
+  };
+  /** The sections, in order. @type {AKUiCollapsible[]} */
+  get sections() {
+    let ref = this;
+    return this.#sectionElements().map(function (aItem) { return ref.#asSection(aItem); });
+  };
+
+  /**
+   * Opens the given section.
+   * @param {Number | string | Element} aSectionRef Index, id or element of the section
+   * @returns {Boolean} False when the section is not found or already open
+   */
+  open(aSectionRef) { return this.#findSection(aSectionRef)?.open() ?? false; };
+  /**
+   * Closes the given section.
+   * @param {Number | string | Element} aSectionRef Index, id or element of the section
+   * @returns {Boolean} False when the section is not found or already closed
+   */
+  close(aSectionRef) { return this.#findSection(aSectionRef)?.close() ?? false; };
+  /**
+   * Opens or closes the given section.
+   * @param {Number | string | Element} aSectionRef Index, id or element of the section
+   * @returns {Boolean} Whether the section is now open (false when not found)
+   */
+  toggle(aSectionRef) { return this.#findSection(aSectionRef)?.toggle() ?? false; };
+  /**
+   * Adds a section at the end of the accordion.
+   * @param {string} aTitle 
+   * @param {Element} aContent The content of the section body
+   * @param {Boolean} [aOpen=false]
+   * @returns {AKUiCollapsible} The new section
+   */
+  addSection(aTitle, aContent, aOpen = false) { return this.insertSection(this.#sectionElements().length, aTitle, aContent, aOpen); };
+  /**
+   * Inserts a section at the given position.
+   * @param {Number} aIndex The position of the new section (clamped to the sections count)
+   * @param {string} aTitle 
+   * @param {Element} aContent The content of the section body
+   * @param {Boolean} [aOpen=false]
+   * @returns {AKUiCollapsible} The new section
+   */
+  insertSection(aIndex, aTitle, aContent, aOpen = false) {
+    this.constructor.AKAssert(isElement(aContent));
+    let elements = this.#sectionElements();
+    let element = this.el.ownerDocument.createElement('div');
+    element.className = 'ak-accordion-section';
+    element.setAttribute('ak-ui-classes', 'Collapsible');
+    AK.createChild(element, 'div', '', 'ak-collapsible-header').textContent = aTitle ?? '\xA0';
+    AK.createChild(element, 'div', '', 'ak-collapsible-body').append(aContent);
+    this.el.insertBefore(element, elements[Math.max(0, Math.min(aIndex, elements.length))] ?? null);
+    this.#setupSection(element);
+    let section = this.#asSection(element);
+    if (aOpen) section.open();
+    return section;
+  };
+  /**
+   * Removes (and destroys) the given section.
+   * @param {Number | string | Element} aSectionRef Index, id or element of the section
+   * @returns {Boolean} False when the section is not found
+   */
+  removeSection(aSectionRef) {
+    let section = this.#findSection(aSectionRef);
+    if (!section) return false;
+    let element = section.el;
+    this.#releaseSection(element);
+    element.remove();
+    AK.destroy(element);
+    return true;
+  };
+};
+/**
+ * Tooltip of the anchor element whose id is set by the `anchor` attribute (the anchor gets described by the tooltip).
+ * The `trigger` attribute lists the anchor interactions showing it: "hover", "focus" (default both) and "click".
+ * It is placed (with a fixed position) on the `placement` side of the anchor, "top" by default, flipping to the
+ * opposite side or shifting to stay within the viewport; the ak-placement-<side> class tells the actual side.
+ * Escape and clicks outside anchor and tooltip hide it; the "open" and "close" events are dispatched on the element.
+ */
+class AKUiTooltip extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-tooltip']; };
+  /** @override */
+  static get observedAtts() { return ['anchor']; };
+  /** Default value of the placement attribute. @type {string} @virtual */
+  static get defaultPlacement() { return 'top'; };
+  /** Default value of the trigger attribute. @type {string} @virtual */
+  static get defaultTrigger() { return 'hover focus'; };
+  /** @type {Element} */
+  #ANCHOR = null;
+  /** Controller of the anchor listeners. @type {AbortController} */
+  #BINDING = null;
+  /** Signal of the instance listeners, aborting the anchor ones too once the element is destroyed. @type {AbortSignal} */
+  #SIGNAL = null;
+  /** Controller of the listeners added while shown. @type {AbortController} */
+  #OPENED = null;
+  /** @type {Number} */
+  #HIDETIMER = 0;
+
+  /**
+   * Links the element to its anchor and adds the trigger listeners.
+   * @returns {Boolean} False when the anchor element is not found
+   */
+  #bind() {
+    let anchorId = this.el.getAttribute('anchor');
+    let anchor = anchorId ? this.el.ownerDocument.getElementById(anchorId) : null;
+    if (!anchor) return false;
+    let ref = this;
+    let element = this.el;
+    this.#ANCHOR = anchor;
+    this.#BINDING = new AbortController();
+    let binding = this.#BINDING;
+    this.#SIGNAL.addEventListener('abort', function () { binding.abort(); }, { signal: binding.signal });
+    let options = { signal: binding.signal };
+    this._linkAnchor(anchor);
+    let triggers = splitTokens((element.getAttribute('trigger') ?? this.constructor.defaultTrigger).toLowerCase());
+    if (triggers.includes('hover')) {
+      anchor.addEventListener('mouseenter', function (aEvent) { ref.show(aEvent); }, options);
+      element.addEventListener('mouseenter', function () { ref.#cancelHide(); }, options);
+      [anchor, element].forEach(function (aItem) {
+        aItem.addEventListener('mouseleave', function (aEvent) { ref.#scheduleHide(aEvent); }, options);
+      });
+    }
+    if (triggers.includes('focus')) {
+      anchor.addEventListener('focusin', function (aEvent) { ref.show(aEvent); }, options);
+      [anchor, element].forEach(function (aItem) {
+        aItem.addEventListener('focusout', function (aEvent) {
+          if (!anchor.contains(aEvent.relatedTarget) && !element.contains(aEvent.relatedTarget)) ref.hide(aEvent);
+        }, options);
+      });
+    }
+    if (triggers.includes('click'))
+      anchor.addEventListener('click', function (aEvent) { ref.toggle(aEvent); }, options);
+    return true;
+  };
+  /** Hides the element and removes the listeners added by #bind. */
+  #unbind() {
+    this.hide();
+    if (this.#BINDING) this.#BINDING.abort();
+    if (this.#ANCHOR) this._unlinkAnchor(this.#ANCHOR);
+    this.#BINDING = null;
+    this.#ANCHOR = null;
+  };
+  #cancelHide() {
+    clearTimeout(this.#HIDETIMER);
+    this.#HIDETIMER = 0;
+  };
+  /** @param {Event} aTrigger */
+  #scheduleHide(aTrigger) {
+    let ref = this;
+    this.#cancelHide();
+    this.#HIDETIMER = setTimeout(function () { ref.hide(aTrigger); }, TOOLTIP_HIDE_DELAY);
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    if (!aElement.hasAttribute('role')) aElement.setAttribute('role', 'tooltip');
+    aElement.classList.add('ak-hidden');
+    this.#SIGNAL = AKObjectManager.instance.listenerAdded(aElement, this);
+    this.constructor.AKAssert(this.#bind(), 'Anchor element "' + aElement.getAttribute('anchor') + '" not found.');
+  };
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName !== 'anchor') return;
+    this.#unbind();
+    // Without anchor, the element stays unbound (and can't be shown) until the attribute is set again.
+    if (!this.#bind()) console.warn('Anchor element "' + aNewValue + '" not found.');
+  };
+  /** @override */
+  _beforeDestroy() {
+    this.#cancelHide();
+    this.#unbind();
+    super._beforeDestroy();
+  };
+  /** Sets the ARIA attributes linking anchor and element. @param {Element} aAnchor @virtual */
+  _linkAnchor(aAnchor) { toggleListAttribute(aAnchor, 'aria-describedby', ensureId(this.el, 'ak-tooltip'), true); };
+  /** Removes the ARIA attributes set by _linkAnchor. @param {Element} aAnchor @virtual */
+  _unlinkAnchor(aAnchor) { toggleListAttribute(aAnchor, 'aria-describedby', this.el.id, false); };
+  /** Called right after the element has been shown or hidden. @param {Boolean} aOpened @virtual */
+  _openedChanged(aOpened) {};
+  /** The anchor element, null when not found. @type {Element | null} */
+  get anchor() { return this.#ANCHOR; };
+  /** Whether the element is shown. @type {Boolean} */
+  get opened() { return Boolean(this.#OPENED); };
+
+  /** Places the element next to its anchor (see floatingPosition). */
+  position() {
+    let element = this.el;
+    let doc = element.ownerDocument;
+    element.style.position = 'fixed';
+    let rect = element.getBoundingClientRect();
+    let result = floatingPosition(this.#ANCHOR.getBoundingClientRect(), { width: rect.width, height: rect.height },
+      { width: doc.documentElement.clientWidth, height: doc.documentElement.clientHeight },
+      (element.getAttribute('placement') ?? this.constructor.defaultPlacement).toLowerCase());
+    element.style.left = result.left + 'px';
+    element.style.top = result.top + 'px';
+    ['top', 'bottom', 'left', 'right'].forEach(function (aSide) {
+      element.classList.toggle('ak-placement-' + aSide, aSide === result.placement);
+    });
+  };
+  /**
+   * Shows the element next to its anchor.
+   * @param {Event | null} [aTrigger=null] The event that showed the element (if any)
+   * @returns {Boolean} False when already shown or without anchor
+   */
+  show(aTrigger = null) {
+    this.#cancelHide();
+    if (this.opened || !this.#ANCHOR) return false;
+    let ref = this;
+    let element = this.el;
+    let doc = element.ownerDocument;
+    this.#OPENED = new AbortController();
+    let options = { signal: this.#OPENED.signal };
+    element.classList.remove('ak-hidden');
+    this.position();
+    doc.addEventListener('keydown', function (aEvent) {
+      if (aEvent.key !== 'Escape') return;
+      let hadFocus = element.contains(doc.activeElement);
+      ref.hide(aEvent);
+      if (hadFocus) ref.#ANCHOR.focus();
+    }, options);
+    doc.addEventListener('pointerdown', function (aEvent) {
+      if (!element.contains(aEvent.target) && !ref.#ANCHOR.contains(aEvent.target)) ref.hide(aEvent);
+    }, options);
+    // Following the anchor (capturing the scroll of any container).
+    doc.defaultView.addEventListener('scroll', function () { ref.position(); }, { signal: options.signal, capture: true, passive: true });
+    doc.defaultView.addEventListener('resize', function () { ref.position(); }, options);
+    this._openedChanged(true);
+    element.dispatchEvent(new CustomEvent('open', { detail: { trigger: aTrigger } }));
+    return true;
+  };
+  /**
+   * Hides the element.
+   * @param {Event | null} [aTrigger=null] The event that hid the element (if any)
+   * @returns {Boolean} False when already hidden
+   */
+  hide(aTrigger = null) {
+    this.#cancelHide();
+    if (!this.opened) return false;
+    this.#OPENED.abort();
+    this.#OPENED = null;
+    this.el.classList.add('ak-hidden');
+    this._openedChanged(false);
+    this.el.dispatchEvent(new CustomEvent('close', { detail: { trigger: aTrigger } }));
+    return true;
+  };
+  /**
+   * Shows or hides the element.
+   * @param {Event | null} [aTrigger=null] The event that toggled the element (if any)
+   * @returns {Boolean} Whether the element is now shown
+   */
+  toggle(aTrigger = null) {
+    if (this.opened) this.hide(aTrigger); else this.show(aTrigger);
+    return this.opened;
+  };
+};
+/**
+ * Popover: a Tooltip with interactive content, shown by clicking the anchor (default trigger) below it (default placement).
+ * Its content can come from the `<template>` whose id is set by the `template` attribute, or from the HTML fragment
+ * fetched from the `src` attribute URL; both are inserted (and enhanced) when first shown. When the fetch fails, the
+ * cancelable "contenterror" event (detail: url and error) is dispatched on the element, the error is logged unless
+ * canceled and the fetch is retried when shown again.
+ */
+class AKUiPopover extends AKUiTooltip {
+  /** @override */
+  static get classes() { return ['ak-popover']; };
+  /** @override */
+  static get defaultPlacement() { return 'bottom'; };
+  /** @override */
+  static get defaultTrigger() { return 'click'; };
+  /** Whether the template/src content has been inserted. @type {Boolean} */
+  #LOADED = false;
+
+  /** Inserts the template content, or fetches the src one (placing again the element once loaded). */
+  #loadContent() {
+    let element = this.el;
+    let templateId = element.getAttribute('template');
+    let url = element.getAttribute('src');
+    if (templateId) {
+      let template = element.ownerDocument.getElementById(templateId);
+      this.constructor.AKAssert(template instanceof HTMLTemplateElement, 'Template "' + templateId + '" not found.');
+      this.#LOADED = true;
+      element.replaceChildren(template.content.cloneNode(true));
+      Array.from(element.children).forEach(AK.enhance);
+      this.position();
+    }
+    else if (url) {
+      let ref = this;
+      this.#LOADED = true;
+      AK.load(element, url).then(function () {
+        if (ref.opened) ref.position();
+      }, function (aError) {
+        ref.#LOADED = false; // Retried when shown again.
+        if (element.dispatchEvent(new CustomEvent('contenterror', { cancelable: true, detail: { url: url, error: aError } })))
+          console.error(aError);
+      });
+    }
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    if (!aElement.hasAttribute('role')) aElement.setAttribute('role', 'dialog');
+    super._applyClass(aElement);
+  };
+  /** @param {Element} aAnchor @override */
+  _linkAnchor(aAnchor) {
+    aAnchor.setAttribute('aria-haspopup', 'dialog');
+    aAnchor.setAttribute('aria-expanded', 'false');
+    aAnchor.setAttribute('aria-controls', ensureId(this.el, 'ak-popover'));
+  };
+  /** @param {Element} aAnchor @override */
+  _unlinkAnchor(aAnchor) {
+    ['aria-haspopup', 'aria-expanded', 'aria-controls'].forEach(function (aAttributeName) { aAnchor.removeAttribute(aAttributeName); });
+  };
+  /** @param {Boolean} aOpened @override */
+  _openedChanged(aOpened) {
+    super._openedChanged(aOpened);
+    this.anchor.setAttribute('aria-expanded', String(aOpened));
+    if (aOpened && !this.#LOADED) this.#loadContent();
+  };
+};
+/**
+ * Menu popup of its anchor button (a Popover whose anchor gets the "menu" popup role). Its items are the
+ * `.ak-menu-item` elements (not belonging to a nested menu), the `.ak-menu-separator` ones split them: items with
+ * the `disabled` attribute (or the ak-disabled class) are skipped by the keyboard navigation and can't be clicked.
+ * Activating an item clicks it (hence items can be `ak-on` or AKComponent triggers), then the bubbling and cancelable
+ * "select" event (detail: item and trigger) is dispatched on the menu and the whole menu chain is closed, unless canceled.
+ * A Menu anchored to an item of another menu (and declared inside it) is its submenu, placed on its right by default.
+ * Keyboard: arrows, Home/End and typeahead move among the items, Enter/Space activate them, ArrowRight opens the
+ * submenus, ArrowLeft and Escape close them, Tab closes the menu chain.
+ */
+class AKUiMenu extends AKUiPopover {
+  /** @override */
+  static get classes() { return ['ak-menu']; };
+  /** Controller of the anchor keyboard listener. @type {AbortController} */
+  #ANCHORKEYS = null;
+  /** @type {MutationObserver} */
+  #OBSERVER = null;
+  /** Typeahead text and its reset timer. @type {{text: string, timer: Number}} */
+  #TYPEAHEAD = { text: '', timer: 0 };
+
+  /** @param {Element} aItem @returns {Boolean} */
+  #isDisabled(aItem) { return aItem.hasAttribute('disabled') || aItem.classList.contains('ak-disabled'); };
+  /** @param {Element} aItem @returns {Boolean} Whether aItem belongs to the menu (not to a nested one) */
+  #owns(aItem) { return aItem.parentElement.closest('.ak-menu') === this.el; };
+  /** Sets roles and disabled state (classes and ARIA) of the items and separators. */
+  #setupItems() {
+    let ref = this;
+    this.el.querySelectorAll('.ak-menu-item').forEach(function (aItem) {
+      if (!ref.#owns(aItem)) return;
+      if (!aItem.hasAttribute('role')) aItem.setAttribute('role', 'menuitem');
+      aItem.setAttribute('tabindex', '-1');
+      // The class is removed only when added here: an author-set ak-disabled class is kept.
+      if (aItem.hasAttribute('disabled')) {
+        if (!aItem.classList.contains('ak-disabled')) {
+          aItem.classList.add('ak-disabled');
+          DISABLED_MENU_ITEMS.add(aItem);
+        }
+      }
+      else if (DISABLED_MENU_ITEMS.has(aItem)) {
+        aItem.classList.remove('ak-disabled');
+        DISABLED_MENU_ITEMS.delete(aItem);
+      }
+      if (ref.#isDisabled(aItem)) aItem.setAttribute('aria-disabled', 'true');
+      else aItem.removeAttribute('aria-disabled');
+    });
+    this.el.querySelectorAll('.ak-menu-separator').forEach(function (aItem) {
+      if (ref.#owns(aItem)) aItem.setAttribute('role', 'separator');
+    });
+  };
+  /** @returns {Element[]} The items that can be focused */
+  #enabledItems() {
+    let ref = this;
+    return this.items.filter(function (aItem) { return !ref.#isDisabled(aItem); });
+  };
+  /** @param {Number} aIndex Index among the enabled items (negative values count from the end) */
+  #focusItem(aIndex) {
+    let items = this.#enabledItems();
+    if (items.length > 0) items[modulo(aIndex, items.length)].focus();
+  };
+  /** @param {string} aChar */
+  #typeahead(aChar) {
+    let typeahead = this.#TYPEAHEAD;
+    clearTimeout(typeahead.timer);
+    typeahead.text += aChar.toLowerCase();
+    typeahead.timer = setTimeout(function () { typeahead.text = ''; }, MENU_TYPEAHEAD_DELAY);
+    let items = this.#enabledItems();
+    // A new search starts after the focused item, a longer text can still match the focused one.
+    let start = items.indexOf(this.el.ownerDocument.activeElement) + ((typeahead.text.length === 1) ? 1 : 0);
+    for (let i = 0; i < items.length; i++) {
+      let item = items[modulo(start + i, items.length)];
+      if (item.textContent.trim().toLowerCase().startsWith(typeahead.text)) {
+        item.focus();
+        return;
+      }
+    }
+    // No match: the typed text restarts from the last character.
+    if (typeahead.text.length > 1) {
+      typeahead.text = '';
+      this.#typeahead(aChar);
+    }
+  };
+  /** @param {KeyboardEvent} aEvent */
+  #keyDown(aEvent) {
+    let item = aEvent.target.closest('.ak-menu-item');
+    if (!item || !this.#owns(item)) return;
+    let items = this.#enabledItems();
+    let index = items.indexOf(item);
+    switch (aEvent.key) {
+      case 'ArrowDown': this.#focusItem(index + 1); break;
+      case 'ArrowUp': this.#focusItem((index < 0) ? -1 : index - 1); break;
+      case 'Home': this.#focusItem(0); break;
+      case 'End': this.#focusItem(-1); break;
+      case 'Enter':
+      case ' ':
+        if (!this.#isDisabled(item)) item.click();
+        break;
+      case 'ArrowLeft':
+      case 'Escape':
+        if (!this.parentMenu) return;
+        this.hide(aEvent);
+        this.anchor.focus();
+        aEvent.stopPropagation(); // Keeping the parent menus open.
+        break;
+      case 'Tab':
+        this.rootMenu.hide(aEvent);
+        return; // Moving the focus anyway.
+      default:
+        if ((aEvent.key.length !== 1) || aEvent.ctrlKey || aEvent.altKey || aEvent.metaKey) return;
+        this.#typeahead(aEvent.key);
+    }
+    aEvent.preventDefault();
+  };
+  /** @param {MouseEvent} aEvent */
+  #click(aEvent) {
+    let item = aEvent.target.closest('.ak-menu-item');
+    if (!item || !this.#owns(item) || this.#isDisabled(item) || (item.getAttribute('aria-haspopup') === 'menu')) return;
+    if (!this.el.dispatchEvent(new CustomEvent('select', { bubbles: true, cancelable: true, detail: { item: item, trigger: aEvent } })))
+      return;
+    let root = this.rootMenu;
+    let hadFocus = root.el.contains(this.el.ownerDocument.activeElement);
+    root.hide(aEvent);
+    if (hadFocus) root.anchor.focus();
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    if (!aElement.hasAttribute('role')) aElement.setAttribute('role', 'menu');
+    super._applyClass(aElement);
+    let ref = this;
+    let options = { signal: AKObjectManager.instance.listenerAdded(aElement, this) };
+    this.#setupItems();
+    this.#OBSERVER = new MutationObserver(function () { ref.#setupItems(); });
+    this.#OBSERVER.observe(aElement, { childList: true, subtree: true, attributes: true, attributeFilter: ['disabled'] });
+    aElement.addEventListener('keydown', function (aEvent) { ref.#keyDown(aEvent); }, options);
+    // Disabled items don't reach their own listeners (ak-on actions, AKComponent triggers, etc).
+    aElement.addEventListener('click', function (aEvent) {
+      let item = aEvent.target.closest('.ak-menu-item');
+      if (!item || !ref.#owns(item) || !ref.#isDisabled(item)) return;
+      aEvent.preventDefault();
+      aEvent.stopPropagation();
+    }, { signal: options.signal, capture: true });
+    aElement.addEventListener('click', function (aEvent) { ref.#click(aEvent); }, options);
+  };
+  /** @override */
+  _beforeDestroy() {
+    this.#OBSERVER.disconnect();
+    this.#OBSERVER = null;
+    clearTimeout(this.#TYPEAHEAD.timer);
+    super._beforeDestroy();
+  };
+  /** @param {Element} aAnchor @override */
+  _linkAnchor(aAnchor) {
+    super._linkAnchor(aAnchor);
+    let ref = this;
+    aAnchor.setAttribute('aria-haspopup', 'menu');
+    if (!this.el.hasAttribute('placement') && aAnchor.closest('.ak-menu'))
+      this.el.setAttribute('placement', 'right');
+    this.#ANCHORKEYS = new AbortController();
+    aAnchor.addEventListener('keydown', function (aEvent) {
+      let submenu = Boolean(ref.parentMenu);
+      if ((aEvent.key === (submenu ? 'ArrowRight' : 'ArrowDown')) || (!submenu && (aEvent.key === 'ArrowUp'))) {
+        aEvent.preventDefault();
+        aEvent.stopPropagation();
+        ref.show(aEvent);
+        ref.#focusItem((aEvent.key === 'ArrowUp') ? -1 : 0);
+      }
+    }, { signal: this.#ANCHORKEYS.signal });
+  };
+  /** @param {Element} aAnchor @override */
+  _unlinkAnchor(aAnchor) {
+    if (this.#ANCHORKEYS) this.#ANCHORKEYS.abort();
+    this.#ANCHORKEYS = null;
+    super._unlinkAnchor(aAnchor);
+  };
+  /** @param {Boolean} aOpened @override */
+  _openedChanged(aOpened) {
+    super._openedChanged(aOpened);
+    let element = this.el;
+    let parentMenu = this.parentMenu;
+    // Closing the nested menus, or the sibling ones of a submenu being opened.
+    let menus = aOpened ? (parentMenu ? Array.from(parentMenu.el.querySelectorAll('.ak-menu')) : []) : Array.from(element.querySelectorAll('.ak-menu'));
+    menus.forEach(function (aMenu) {
+      if ((aMenu === element) || aMenu.contains(element)) return;
+      // Only the existing Menu instances (e.g. not the elements merely styled as menus), none gets created.
+      let menu = AKObjectManager.instance.instances(aMenu).find(function (aObject) { return aObject instanceof AKUiMenu; });
+      if (menu) menu.hide();
+    });
+  };
+  /** The items of the menu (not of the nested ones), in order. @type {Element[]} */
+  get items() {
+    let ref = this;
+    return Array.from(this.el.querySelectorAll('.ak-menu-item')).filter(function (aItem) { return ref.#owns(aItem); });
+  };
+  /** The menu owning the anchor item, null if not a submenu. @type {AKUiMenu | null} */
+  get parentMenu() {
+    let element = this.anchor ? this.anchor.closest('.ak-menu') : null;
+    return element ? AK.as(element, 'Menu') : null;
+  };
+  /** The outermost menu of the chain (the menu itself if not a submenu). @type {AKUiMenu} */
+  get rootMenu() {
+    let result = this;
+    while (result.parentMenu) result = result.parentMenu;
+    return result;
+  };
+
+  /**
+   * Shows the menu (unless disabled), focusing its first item when opened by a click or by the keyboard.
+   * @param {Event | null} [aTrigger=null] @returns {Boolean} False when already shown or disabled
+   * @override
+   */
+  show(aTrigger = null) {
+    if (this.el.hasAttribute('disabled') || !super.show(aTrigger)) return false;
+    if (!aTrigger || (aTrigger.type === 'click') || (aTrigger.type === 'keydown')) this.#focusItem(0);
+    return true;
   };
 };
+/**
+ * @typedef {Object} AKToastOptions
+ * @property {string} [type='info'] info, success, warning or error (sets the ak-toast-<type> class)
+ * @property {Number} [timeout=5000] Milliseconds before the toast is dismissed, 0 to keep it until closed
+ * @property {{label: string, handler?: function(Event, Element): (Boolean | void)}[]} [actions] Action buttons: they
+ * dismiss the toast unless their handler returns false
+ */
+/**
+ * Live region showing the toasts (see notify). The `position` attribute ("bottom-right" by default) sets the
+ * ak-toaster-<position> class and picks the region used by notify; `max` limits the toasts shown, dismissing the oldest.
+ * Toasts are dismissed by their close button, by their actions or when their timeout expires, which is paused while
+ * they are hovered or focused. Error toasts have the alert role.
+ */
+class AKUiToaster extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-toaster']; };
+  /** @override */
+  static get observedAtts() { return ['position']; };
+  /** Timeout state of each toast. @type {WeakMap<Element, {timer: Number, remaining: Number, started: Number, hovered: Boolean, focused: Boolean}>} */
+  #TIMERS = new WeakMap();
+
+  /** @param {Element} aToast */
+  #resumeTimer(aToast) {
+    let state = this.#TIMERS.get(aToast);
+    if (!state || state.timer || state.hovered || state.focused) return;
+    let ref = this;
+    state.started = Date.now();
+    state.timer = setTimeout(function () { ref.dismiss(aToast); }, state.remaining);
+  };
+  /** @param {Element} aToast */
+  #pauseTimer(aToast) {
+    let state = this.#TIMERS.get(aToast);
+    if (!state || !state.timer) return;
+    clearTimeout(state.timer);
+    state.timer = 0;
+    state.remaining = Math.max(0, state.remaining - (Date.now() - state.started));
+  };
+  #updatePosition(aOldPosition) {
+    this.el.classList.remove('ak-toaster-' + aOldPosition);
+    this.el.classList.add('ak-toaster-' + this.position);
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    if (!aElement.hasAttribute('role')) aElement.setAttribute('role', 'region');
+    if (!aElement.hasAttribute('aria-label')) aElement.setAttribute('aria-label', 'Notifications');
+    aElement.setAttribute('aria-live', 'polite');
+    aElement.setAttribute('aria-relevant', 'additions');
+    this.#updatePosition(this.position);
+  };
+  /** @param {string} aAttributeName @param {string | null} aOldValue @param {string | null} aNewValue @override */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {
+    super._attributeChanged(aAttributeName, aOldValue, aNewValue);
+    if (aAttributeName === 'position') this.#updatePosition(aOldValue ?? TOASTER_POSITION);
+  };
+  /** @override */
+  _beforeDestroy() {
+    let ref = this;
+    this.toasts.forEach(function (aToast) { ref.#pauseTimer(aToast); });
+    super._beforeDestroy();
+  };
+  /** @type {string} */
+  get position() { return this.el.getAttribute('position') ?? TOASTER_POSITION; };
+  /** The toast elements, oldest first. @type {Element[]} */
+  get toasts() { return Array.from(this.el.children).filter(function (aItem) { return aItem.classList.contains('ak-toast'); }); };
 
+  /**
+   * Shows a toast.
+   * @param {string} aMessage 
+   * @param {AKToastOptions} [aOptions={}]
+   * @returns {Element} The toast element
+   */
+  show(aMessage, aOptions = {}) {
+    let ref = this;
+    let type = aOptions.type ?? 'info';
+    let timeout = aOptions.timeout ?? TOAST_TIMEOUT;
+    let toast = AK.createChild(this.el, 'div', '', 'ak-toast ak-toast-' + type, (type === 'error') ? { role: 'alert' } : {});
+    AK.createChild(toast, 'div', '', 'ak-toast-message').textContent = aMessage;
+    if (aOptions.actions && (aOptions.actions.length > 0)) {
+      let actions = AK.createChild(toast, 'div', '', 'ak-toast-actions');
+      aOptions.actions.forEach(function (aAction) {
+        let button = AK.createChild(actions, 'button', '', 'ak-toast-action', { type: 'button' });
+        button.textContent = aAction.label;
+        button.addEventListener('click', function (aEvent) {
+          if (!aAction.handler || (aAction.handler(aEvent, toast) !== false)) ref.dismiss(toast);
+        });
+      });
+    }
+    AK.createChildAKObject(toast, 'span', '', 'CloseElementButton', { 'aria-label': 'Dismiss' });
+    toast.addEventListener('destroy', function () { ref.#pauseTimer(toast); });
+    if (timeout > 0) {
+      this.#TIMERS.set(toast, { timer: 0, remaining: timeout, started: 0, hovered: false, focused: false });
+      toast.addEventListener('mouseenter', function () {
+        ref.#TIMERS.get(toast).hovered = true;
+        ref.#pauseTimer(toast);
+      });
+      toast.addEventListener('mouseleave', function () {
+        ref.#TIMERS.get(toast).hovered = false;
+        ref.#resumeTimer(toast);
+      });
+      toast.addEventListener('focusin', function () {
+        ref.#TIMERS.get(toast).focused = true;
+        ref.#pauseTimer(toast);
+      });
+      toast.addEventListener('focusout', function (aEvent) {
+        if (toast.contains(aEvent.relatedTarget)) return;
+        ref.#TIMERS.get(toast).focused = false;
+        ref.#resumeTimer(toast);
+      });
+      this.#resumeTimer(toast);
+    }
+    let max = parseInt(this.el.getAttribute('max'), 10);
+    let toasts = this.toasts;
+    if (max > 0)
+      toasts.slice(0, Math.max(0, toasts.length - max)).forEach(function (aItem) { ref.dismiss(aItem); });
+    return toast;
+  };
+  /**
+   * Removes (and destroys) the given toast.
+   * @param {Element} aToast 
+   * @returns {Boolean} False when the toast does not belong to the toaster
+   */
+  dismiss(aToast) {
+    if (!isElement(aToast) || (aToast.parentElement !== this.el)) return false;
+    aToast.remove();
+    AK.destroy(aToast);
+    return true;
+  };
+  /** Removes all the toasts. */
+  clear() {
+    let ref = this;
+    this.toasts.forEach(function (aToast) { ref.dismiss(aToast); });
+  };
+};
+/**
+ * Validates its descendant fields (the ones whose willValidate is true) when they change, when the form is submitted
+ * (blocking the submission, hence the AKComponent requests, until it's valid) and when validate is called.
+ * Besides the built-in constraints, the rules are declared on the fields: `ak-pattern` (the whole value must match),
+ * `ak-min`/`ak-max` (numbers, or strings such as dates), `ak-match` (id of the field whose value must be the same) and
+ * `ak-validate` (names of the validators registered through registerValidator). The message of a failed rule comes
+ * from the field `ak-<rule>-message` attribute (`ak-validate-message` for the registered validators returning false),
+ * falling back to the class messages. Invalid fields get the `invalid` attribute (hence the ak-invalid class) and show
+ * their message in the element whose id is set by their `ak-message` attribute, or in a `.ak-field-message` after them.
+ * The checkboxes and radios sharing a name are validated as a group (a required checkbox group needs one of them
+ * checked), showing a single message through the first of them. An `ak-pattern` that is not a valid regular expression
+ * is ignored, with a warning.
+ * Errors coming from elsewhere (e.g. the server) are shown through setFieldError and showErrors, the latter in the
+ * element whose id is set by the form `ak-errors` attribute, or in a `.ak-form-errors` first child.
+ */
+class AKUiForm extends AKUiElement {
+  /** @override */
+  static get classes() { return ['ak-form']; };
+  /** Default messages of the rules (%s is replaced by the rule value). @type {Object.<string, string>} @virtual */
+  static get messages() {
+    return {
+      pattern: 'Please match the requested format.',
+      min: 'The value must be at least %s.',
+      max: 'The value must be at most %s.',
+      match: 'The values do not match.',
+      validate: 'The value is not valid.'
+    };
+  };
+  /** Message (and errors) elements created by the form. @type {Element[]} */
+  #CREATED = [];
+  /** Fields validated at least once (their following changes are validated while typing). @type {WeakSet<Element>} */
+  #VALIDATED = new WeakSet();
+  /** Whether novalidate has been added by the form. @type {Boolean} */
+  #NOVALIDATE = false;
+
+  /**
+   * @param {Element} aField @param {string} aRule @param {string} [aValue='']
+   * @returns {string} The message of the failed rule
+   */
+  #message(aField, aRule, aValue = '') {
+    return aField.getAttribute('ak-' + aRule + '-message') ?? fmt(this.constructor.messages[aRule], aValue);
+  };
+  /** @param {Element} aField @returns {Element} The message element of the field (created when missing) */
+  #messageElement(aField) {
+    let id = aField.getAttribute('ak-message');
+    let result = id ? aField.ownerDocument.getElementById(id) : aField.nextElementSibling;
+    if (id) this.constructor.AKAssert(result, 'Message element "' + id + '" not found.');
+    else if (!result || !result.classList.contains('ak-field-message')) {
+      result = aField.ownerDocument.createElement('span');
+      result.className = 'ak-field-message ak-hidden';
+      aField.after(result);
+      this.#CREATED.push(result);
+    }
+    toggleListAttribute(aField, 'aria-describedby', ensureId(result, 'ak-message'), true);
+    return result;
+  };
+  /**
+   * Sets the invalid state and the message of the field.
+   * @param {Element} aField @param {string} aMessage Empty when valid
+   * @param {Boolean} [aShowMessage=true] False for the group fields other than the first one
+   */
+  #setFieldState(aField, aMessage, aShowMessage = true) {
+    let invalid = aMessage !== '';
+    let akClass = AKUiElement.is(aField);
+    if (akClass) AK.as(aField, akClass.className).toggleAttribute('invalid', invalid);
+    else {
+      aField.toggleAttribute('invalid', invalid);
+      aField.classList.toggle('ak-invalid', invalid);
+    }
+    if (invalid) aField.setAttribute('aria-invalid', 'true'); else aField.removeAttribute('aria-invalid');
+    let text = aShowMessage ? aMessage : '';
+    if ((text === '') && !aField.hasAttribute('aria-describedby')) return; // Never shown a message.
+    let message = this.#messageElement(aField);
+    message.textContent = text;
+    message.classList.toggle('ak-hidden', text === '');
+  };
+  /**
+   * @param {Element} aField
+   * @returns {Element[]} The fields of the group of the field (the checkboxes or radios sharing its name), in document order
+   */
+  #group(aField) {
+    if (((aField.type !== 'checkbox') && (aField.type !== 'radio')) || !aField.name) return [aField];
+    let result = this.fields.filter(function (aItem) { return (aItem.type === aField.type) && (aItem.name === aField.name); });
+    return result.includes(aField) ? result : [aField];
+  };
+  /**
+   * Checks the field against the built-in constraints and the rules (see validateField), without showing the message.
+   * @param {Element} aField @returns {string} The message of the first failed rule, empty when valid
+   */
+  #fieldMessage(aField) {
+    let ref = this;
+    let value = ((aField.type === 'checkbox') || (aField.type === 'radio')) ? (aField.checked ? aField.value : '') : aField.value;
+    let message = '';
+    aField.setCustomValidity('');
+    if (!aField.checkValidity()) message = aField.validationMessage;
+    else if (value !== '') {
+      let pattern = aField.getAttribute('ak-pattern');
+      let min = aField.getAttribute('ak-min');
+      let max = aField.getAttribute('ak-max');
+      /** Compares numerically when both are numbers. @param {string} aLimit @returns {Number} */
+      let compare = function (aLimit) {
+        let number = Number(value);
+        let limit = Number(aLimit);
+        if ((value.trim() !== '') && (aLimit.trim() !== '') && Number.isFinite(number) && Number.isFinite(limit))
+          return number - limit;
+        return value.localeCompare(aLimit);
+      };
+      let regExp = null;
+      if (pattern !== null)
+        try {
+          regExp = new RegExp('^(?:' + pattern + ')$', 'u');
+        }
+        catch (aError) {
+          console.warn(aError);
+        }
+      if (regExp && !regExp.test(value)) message = this.#message(aField, 'pattern', pattern);
+      else if ((min !== null) && (compare(min) < 0)) message = this.#message(aField, 'min', min);
+      else if ((max !== null) && (compare(max) > 0)) message = this.#message(aField, 'max', max);
+    }
+    let matchId = aField.getAttribute('ak-match');
+    if (!message && matchId) {
+      let other = aField.ownerDocument.getElementById(matchId);
+      this.constructor.AKAssert(other, 'Field "' + matchId + '" not found.');
+      if (other.value !== value) message = this.#message(aField, 'match', matchId);
+    }
+    if (!message)
+      splitTokens(aField.getAttribute('ak-validate') ?? '').some(function (aName) {
+        let validator = FORM_VALIDATORS.get(aName.toLowerCase());
+        ref.constructor.AKAssert(validator, 'Validator "' + aName + '" not registered.');
+        let result = validator(value, aField, ref);
+        if (typeof(result) === 'string') message = result;
+        else if (result === false) message = ref.#message(aField, 'validate', aName);
+        return message !== '';
+      });
+    return message;
+  };
+  /**
+   * Checks a group of checkboxes or radios through #fieldMessage: its checked fields or, when none is checked, its first
+   * required field (its first field when none is required).
+   * @param {Element[]} aGroup @returns {string} The message of the first failed rule, empty when valid
+   */
+  #groupMessage(aGroup) {
+    let ref = this;
+    aGroup.forEach(function (aItem) { aItem.setCustomValidity(''); });
+    let checked = aGroup.filter(function (aItem) { return aItem.checked; });
+    if (checked.length === 0)
+      checked = [aGroup.find(function (aItem) { return aItem.required; }) ?? aGroup[0]];
+    let message = '';
+    checked.some(function (aItem) {
+      message = ref.#fieldMessage(aItem);
+      return message !== '';
+    });
+    return message;
+  };
+  /** @param {Element} aField The field whose value changed */
+  #fieldChanged(aField) {
+    let ref = this;
+    if (this.#VALIDATED.has(aField)) this.validateField(aField);
+    // The fields that must match it.
+    if (aField.id)
+      this.fields.forEach(function (aItem) {
+        if ((aItem.getAttribute('ak-match') === aField.id) && ref.#VALIDATED.has(aItem)) ref.validateField(aItem);
+      });
+  };
+
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    let ref = this;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    // The form shows its own messages in place of the browser ones.
+    if ((aElement instanceof HTMLFormElement) && !aElement.noValidate) {
+      aElement.noValidate = true;
+      this.#NOVALIDATE = true;
+    }
+    this.fields.forEach(function (aField) { aField.classList.toggle('ak-required', aField.hasAttribute('required')); });
+    // Capturing, to stop the submission before any other listener (AKComponent triggers included).
+    aElement.addEventListener('submit', function (aEvent) {
+      if (ref.validate()) return;
+      aEvent.preventDefault();
+      aEvent.stopImmediatePropagation();
+      let invalid = ref.fields.filter(function (aField) { return aField.hasAttribute('invalid'); });
+      if (invalid.length > 0) invalid[0].focus();
+      aElement.dispatchEvent(new CustomEvent('invalid', { detail: { fields: invalid, trigger: aEvent } }));
+    }, { signal: signal, capture: true });
+    aElement.addEventListener('input', function (aEvent) { ref.#fieldChanged(aEvent.target); }, { signal: signal });
+    aElement.addEventListener('change', function (aEvent) {
+      if (ref.fields.includes(aEvent.target)) ref.validateField(aEvent.target);
+    }, { signal: signal });
+    aElement.addEventListener('reset', function () { ref.clear(); }, { signal: signal });
+  };
+  /** @override */
+  _beforeDestroy() {
+    this.#CREATED.forEach(function (aElement) { aElement.remove(); });
+    this.#CREATED = [];
+    if (this.#NOVALIDATE) this.el.noValidate = false;
+    super._beforeDestroy();
+  };
+  /** The fields being validated, in document order. @type {Element[]} */
+  get fields() {
+    return Array.from(this.el.querySelectorAll('input, select, textarea')).filter(function (aField) { return aField.willValidate; });
+  };
+  /** Whether all the fields were valid on the last validation. @type {Boolean} */
+  get valid() { return !this.el.hasAttribute('invalid'); };
+
+  /**
+   * Validates the field (along with its group, for the named checkboxes and radios) and shows its message.
+   * @param {Element} aField 
+   * @returns {string} The message of the first failed rule, empty when valid
+   */
+  validateField(aField) {
+    let ref = this;
+    let group = this.#group(aField);
+    let message = (group.length > 1) ? this.#groupMessage(group) : this.#fieldMessage(aField);
+    group.forEach(function (aItem, aIndex) {
+      aItem.setCustomValidity(message);
+      ref.#VALIDATED.add(aItem);
+      ref.#setFieldState(aItem, message, aIndex === 0);
+    });
+    return message;
+  };
+  /**
+   * Validates all the fields, setting the `invalid` attribute of the element when any of them is invalid.
+   * @returns {Boolean} Whether the fields are valid
+   */
+  validate() {
+    let ref = this;
+    // Each group once, through its first field.
+    let fields = this.fields.filter(function (aField) { return ref.#group(aField)[0] === aField; });
+    let result = fields.map(function (aField) { return ref.validateField(aField); }).every(function (aMessage) { return aMessage === ''; });
+    this.toggleAttribute('invalid', !result);
+    return result;
+  };
+  /**
+   * Shows an error of the field, until it is validated again (e.g. once changed).
+   * @param {Element} aField 
+   * @param {string} aMessage 
+   */
+  setFieldError(aField, aMessage) {
+    this.constructor.AKAssert(this.el.contains(aField), 'The field does not belong to the form.');
+    this.constructor.AKAssert(isNonEmptyStr(aMessage), 'Missing field error message.');
+    aField.setCustomValidity(aMessage);
+    this.#VALIDATED.add(aField);
+    this.#setFieldState(aField, aMessage);
+    this.toggleAttribute('invalid', true);
+  };
+  /**
+   * Shows the errors not related to any field, replacing the ones shown before (none = hides them).
+   * @param {string[]} aMessages 
+   */
+  showErrors(aMessages) {
+    let id = this.el.getAttribute('ak-errors');
+    let element = id ? this.el.ownerDocument.getElementById(id)
+      : Array.from(this.el.children).find(function (aItem) { return aItem.classList.contains('ak-form-errors'); });
+    if (id) this.constructor.AKAssert(element, 'Errors element "' + id + '" not found.');
+    if (!element) {
+      if (aMessages.length === 0) return;
+      element = AK.createChild(this.el, 'div', '', 'ak-form-errors', { role: 'alert' });
+      this.el.prepend(element);
+      this.#CREATED.push(element);
+    }
+    element.replaceChildren(...aMessages.map(function (aMessage) {
+      let item = element.ownerDocument.createElement('p');
+      item.textContent = aMessage;
+      return item;
+    }));
+    element.classList.toggle('ak-hidden', aMessages.length === 0);
+  };
+  /** Clears the invalid states and the messages (the fields are validated again on submit or change). */
+  clear() {
+    let ref = this;
+    this.fields.forEach(function (aField) {
+      ref.#VALIDATED.delete(aField);
+      aField.setCustomValidity('');
+      ref.#setFieldState(aField, '');
+    });
+    this.showErrors([]);
+    this.toggleAttribute('invalid', false);
+  };
+};
 class AKUiTestButton extends AKUiElement {
   /** @override */
   static get classes() {
@@ -163,4 +2624,13 @@ class AKUiTestButton extends AKUiElement {
 AKUiClassesRegistry.instance.register('CloseElementButton', AKUiCloseElementButton);
 AKUiClassesRegistry.instance.register('CloseAKObjectButton', AKUiCloseAKObjectButton);
 AKUiClassesRegistry.instance.register('TabPanel', AKUiTabPanel);
+AKUiClassesRegistry.instance.register('Dialog', AKUiDialog);
+AKUiClassesRegistry.instance.register('Counter', AKUiCounter);
+AKUiClassesRegistry.instance.register('Collapsible', AKUiCollapsible);
+AKUiClassesRegistry.instance.register('Accordion', AKUiAccordion);
+AKUiClassesRegistry.instance.register('Tooltip', AKUiTooltip);
+AKUiClassesRegistry.instance.register('Popover', AKUiPopover);
+AKUiClassesRegistry.instance.register('Menu', AKUiMenu);
+AKUiClassesRegistry.instance.register('Toaster', AKUiToaster);
+AKUiClassesRegistry.instance.register('Form', AKUiForm);
 AKUiClassesRegistry.instance.register('TestButton', AKUiTestButton);
\ No newline at end of file
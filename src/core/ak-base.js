@@ -1,8 +1,35 @@
 'use strict';
 
-import { assert, createAndAppendChild, listAttribute } from './ak-utils.js';
+import { assert, assertFmt, createAndAppendChild, fmt, isElement, listAttribute, namedError, sameText } from './ak-utils.js';
 import { AKObject, AKObjectManager, isAKClass } from './ak-core.js';
 
+/** Elements that have already been destroyed, so that the observer does not destroy them twice. @type {WeakSet<Element>} */
+const DESTROYED = new WeakSet();
+/** Elements whose ak-on attributes have already been bound to listeners. @type {WeakSet<Element>} */
+const BOUND = new WeakSet();
+/** Elements removed through detachElement, that the observer must not destroy. @type {WeakSet<Element>} */
+const DETACHED = new WeakSet();
+/** Token of the latest loadHtmlSync request of each target, the one removing ak-loading. @type {WeakMap<Element, Object>} */
+const LOADING = new WeakMap();
+/** Prefix of the declarative event attributes. */
+const EVENT_ATT_PREFIX = 'ak-on:';
+
+/**
+ * Runs the observer task on the element, so that its failure does not stop the processing of the other mutations:
+ * the error is dispatched through the cancelable (and bubbling) event, logged unless canceled.
+ * @param {Element} aElement 
+ * @param {string} aEventName "enhanceerror" or "destroyerror"
+ * @param {function(Element): void} aTask 
+ */
+function observerTask(aElement, aEventName, aTask) {
+  try {
+    aTask(aElement);
+  }
+  catch (aError) {
+    if (aElement.dispatchEvent(new CustomEvent(aEventName, { bubbles: true, cancelable: true, detail: { error: aError } })))
+      console.error(aError);
+  }
+};
 /**
  * @type {MutationCallback}
  */
@@ -10,12 +37,64 @@ function observeDestroy(aMutationList, aObserver) {
   for (let mutation of aMutationList)
     if (mutation.type === 'childList')
       mutation.removedNodes.forEach(function (aNode) {
-        if (aNode.nodeType === Node.ELEMENT_NODE) {
-          aNode.dispatchEvent(new CustomEvent('destroy'));
-          AKObjectManager.instance.delete(aNode);
-        }
+        // Connected nodes have just been moved (or re-inserted) elsewhere.
+        if ((aNode.nodeType === Node.ELEMENT_NODE) && !aNode.isConnected && !DETACHED.has(aNode))
+          observerTask(aNode, 'destroyerror', destroyElement);
       });
 };
+/**
+ * @type {MutationCallback}
+ */
+function observeEnhance(aMutationList, aObserver) {
+  for (let mutation of aMutationList)
+    if (mutation.type === 'childList')
+      mutation.addedNodes.forEach(function (aNode) {
+        if ((aNode.nodeType === Node.ELEMENT_NODE) && aNode.isConnected)
+          observerTask(aNode, 'enhanceerror', enhanceElement);
+      });
+    else if ((mutation.type === 'attributes') && mutation.target.isConnected)
+      observerTask(mutation.target, 'enhanceerror', function (aElement) { AKObjectManager.instance.refresh(aElement); });
+};
+/**
+ * Triggers the destroy event for the given element and each of its descendants (in document order, so every element
+ * is torn down before its descendants), destroying their AKObject instances and removing them from the registry.
+ * Each element is destroyed just once.
+ * @param {Element} aElement 
+ */
+export function destroyElement(aElement) {
+  [aElement, ...aElement.querySelectorAll('*')].forEach(function (aItem) {
+    if (DESTROYED.has(aItem)) return;
+    DESTROYED.add(aItem);
+    DETACHED.delete(aItem);
+    BOUND.delete(aItem);
+    aItem.dispatchEvent(new CustomEvent('destroy'));
+    AKObjectManager.instance.delete(aItem);
+  });
+}
+/**
+ * Removes the element from the document without destroying it (its AKObject instances are kept): it can be inserted
+ * back through restoreElement, otherwise it has to be destroyed explicitly through destroyElement.
+ * @param {Element} aElement 
+ * @param {Node} [aPlaceholder=null] Node taking the place of the element
+ */
+export function detachElement(aElement, aPlaceholder = null) {
+  assert(isElement(aElement));
+  DETACHED.add(aElement);
+  if (aPlaceholder) aElement.replaceWith(aPlaceholder);
+  else aElement.remove();
+}
+/**
+ * Inserts an element removed through detachElement back in the document, in place of the given node.
+ * @param {Element} aElement 
+ * @param {Node} aPlaceholder The node replaced by the element
+ * @returns {Boolean} False when the element is not detached (e.g. it has been destroyed meanwhile)
+ */
+export function restoreElement(aElement, aPlaceholder) {
+  if (!DETACHED.has(aElement)) return false;
+  DETACHED.delete(aElement);
+  aPlaceholder.replaceWith(aElement);
+  return true;
+}
 /**
  * Starts a mutation observer that triggers the destroy event for removed DOM nodes.
  * @param {Node} aTargetNode The root node that will be observed
@@ -26,66 +105,254 @@ export function startDestroyObserver(aTargetNode) {
   observer.observe(aTargetNode, { childList: true, subtree: true });
   return observer;
 }
+/**
+ * Starts a mutation observer that enhances the DOM nodes added after startup and keeps the AKObject instances
+ * in sync with the changes of the ak-ui-classes and ak-component-class attributes.
+ * @param {Node} aTargetNode The root node that will be observed
+ * @returns The observer instance
+ */
+export function startEnhanceObserver(aTargetNode) {
+  let observer = new MutationObserver(observeEnhance);
+  observer.observe(aTargetNode, { childList: true, subtree: true, attributes: true, attributeFilter: ['ak-ui-classes', 'ak-component-class'] });
+  return observer;
+}
 /**
  * Casts the given element and all of its children as all the corresponding AKLib classes.
+ * The children of an element declaring lazily loaded classes are enhanced once those are ready (their instances
+ * may look for the parent ones).
  * @param {Element} aElement 
  */
 export function enhanceElement(aElement) {
-  AKObjectManager.instance.enhance(aElement);
-  if (aElement.childElementCount > 0)
-    for (let child of aElement.children)
+  DESTROYED.delete(aElement); // Enhanced again after being destroyed (e.g. re-inserted).
+  let pending = AKObjectManager.instance.enhance(aElement);
+  bindEventAttributes(aElement);
+  let enhanceChildren = function () {
+    for (let child of Array.from(aElement.children))
       enhanceElement(child);
+  };
+  if (!pending) enhanceChildren();
+  else pending.then(function () {
+    // The element could have been removed while loading.
+    if (aElement.isConnected && !DESTROYED.has(aElement)) enhanceChildren();
+  });
+}
+/**
+ * Returns the instance of the target element that exposes the given public method. When no class name is given,
+ * the classes declared by the element are tried in order (UI classes first).
+ * @param {Element} aTarget 
+ * @param {string | undefined} aClassName 
+ * @param {string} aMethod 
+ * @returns {AKObject}
+ */
+function findActionObject(aTarget, aClassName, aMethod) {
+  let classNames = aClassName ? [aClassName] : listAttribute(aTarget, 'ak-ui-classes').concat(aTarget.getAttribute('ak-component-class') ?? []);
+  for (let i = 0; i < classNames.length; i++) {
+    let result = AKObjectManager.instance.get(aTarget, classNames[i]);
+    if (typeof(result[aMethod]) === 'function') return result;
+  }
+  throw namedError(fmt('No AKObject of element "%s" exposes the method "%s".', aTarget.id, aMethod), 'AKInvalidAction');
+}
+/**
+ * Parses the arguments list of an ak-on action: quoted strings (single or double quotes), numbers, true, false, null
+ * and "event" (the triggering event), separated by commas.
+ * @param {string} aArguments 
+ * @param {Event} aEvent 
+ * @returns {any[]}
+ */
+function parseActionArguments(aArguments, aEvent) {
+  let literals = { 'true': true, 'false': false, 'null': null, 'event': aEvent };
+  let result = [];
+  let regex = /\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([^,'"\s]+))\s*(,|$)/y;
+  let match = null;
+  if (aArguments.trim() === '') return result;
+  while ((regex.lastIndex < aArguments.length) && (match = regex.exec(aArguments))) {
+    if (match[3] === undefined) result.push((match[1] ?? match[2]).replace(/\\(.)/g, '$1'));
+    else if (Object.hasOwn(literals, match[3])) result.push(literals[match[3]]);
+    else {
+      assertFmt(Number.isFinite(Number(match[3])), 'Invalid ak-on argument "%s".', match[3]);
+      result.push(Number(match[3]));
+    }
+    if (match[4] === '') return result;
+  }
+  throw namedError(fmt('Invalid ak-on arguments "%s".', aArguments), 'AKInvalidAction');
+}
+/**
+ * Runs a single ak-on action: "emit:<event name>" dispatches a (bubbling) custom event on the element,
+ * "<target id>[@<class name>].<method>[(<arguments>)]" calls the public method of the target AKObject ("this" = the element
+ * itself) with the given arguments (see parseActionArguments), none when omitted.
+ * @param {Element} aElement The element declaring the action
+ * @param {string} aAction 
+ * @param {Event} aEvent The event that triggered the action (detail of the emitted event, "event" argument of the methods)
+ */
+function runAction(aElement, aAction, aEvent) {
+  if (aAction.toLowerCase().startsWith('emit:')) {
+    aElement.dispatchEvent(new CustomEvent(aAction.slice(5), { bubbles: true, detail: { trigger: aEvent } }));
+    return;
+  }
+  let match = /^([^@.(]+)(?:@([^.(]+))?\.([^._(][^.(]*?)\s*(?:\((.*)\))?$/s.exec(aAction);
+  assertFmt(match, 'Invalid ak-on action "%s".', aAction);
+  let target = sameText(match[1], 'this') ? aElement : aElement.ownerDocument.getElementById(match[1]);
+  assertFmt(target, 'Target element "%s" of ak-on action not found.', match[1]);
+  findActionObject(target, match[2], match[3])[match[3]](...parseActionArguments(match[4] ?? '', aEvent));
+}
+/**
+ * Binds the declarative event attributes of the element (e.g. ak-on:click="main-tabpanel.addTab('New', '/new'); emit:refresh").
+ * Actions are separated by ";" and get resolved each time the event fires. Listeners are aborted when the element is destroyed.
+ * @param {Element} aElement 
+ */
+function bindEventAttributes(aElement) {
+  if (BOUND.has(aElement)) return;
+  let attributes = Array.from(aElement.attributes).filter(function (aAttribute) { return aAttribute.name.startsWith(EVENT_ATT_PREFIX); });
+  if (attributes.length === 0) return;
+  BOUND.add(aElement);
+  let signal = AKObjectManager.instance.listenerAdded(aElement);
+  attributes.forEach(function (aAttribute) {
+    let attributeName = aAttribute.name;
+    aElement.addEventListener(attributeName.slice(EVENT_ATT_PREFIX.length), function (aEvent) {
+      // A failing action does not stop the following ones: its error is dispatched through the cancelable "actionerror" event.
+      (aElement.getAttribute(attributeName) ?? '').split(';').forEach(function (aAction) {
+        if (!aAction.trim()) return;
+        try {
+          runAction(aElement, aAction.trim(), aEvent);
+        }
+        catch (aError) {
+          let detail = { action: aAction.trim(), trigger: aEvent, error: aError };
+          if (aElement.dispatchEvent(new CustomEvent('actionerror', { bubbles: true, cancelable: true, detail: detail })))
+            console.error(aError);
+        }
+      });
+    }, { signal: signal });
+  });
+}
+/** Modes supported by swapHtml, named after the Element.insertAdjacentHTML positions. @type {string[]} */
+export const SWAP_MODES = ['innerHTML', 'outerHTML', 'beforebegin', 'afterbegin', 'beforeend', 'afterend', 'delete', 'none'];
+/**
+ * Inserts the given HTML (text nodes included) relative to the target element and enhances each inserted element.
+ * The elements being replaced (innerHTML and outerHTML modes) or deleted (delete mode) are destroyed.
+ * @param {Element} aTarget The target element
+ * @param {string} aHtml The HTML string (ignored by the delete and none modes)
+ * @param {string} [aMode='innerHTML'] One of SWAP_MODES (case insensitive)
+ * @returns {Element[]} The inserted elements
+ */
+export function swapHtml(aTarget, aHtml, aMode = 'innerHTML') {
+  assert(isElement(aTarget));
+  let mode = SWAP_MODES.find(function (aItem) { return sameText(aItem, aMode); });
+  assertFmt(mode, 'Invalid swap mode "%s".', aMode);
+  /** All the parsed nodes, text ones included. @type {Node[]} */
+  let nodes = [];
+  /** @type {Element[]} */
+  let removed = [];
+  if (mode === 'none') return [];
+  if (mode !== 'delete') {
+    let template = aTarget.ownerDocument.createElement('template');
+    template.innerHTML = aHtml ?? '';
+    nodes = Array.from(template.content.childNodes);
+  }
+  switch (mode) {
+    case 'innerHTML':
+      removed = Array.from(aTarget.children);
+      aTarget.replaceChildren(...nodes);
+      break;
+    case 'outerHTML':
+      removed = [aTarget];
+      aTarget.replaceWith(...nodes);
+      break;
+    case 'beforebegin': aTarget.before(...nodes); break;
+    case 'afterbegin': aTarget.prepend(...nodes); break;
+    case 'beforeend': aTarget.append(...nodes); break;
+    case 'afterend': aTarget.after(...nodes); break;
+    case 'delete':
+      removed = [aTarget];
+      aTarget.remove();
+      break;
+  }
+  // Destroying first: the new elements may share the ids of the replaced ones.
+  let inserted = nodes.filter(isElement);
+  removed.forEach(destroyElement);
+  inserted.forEach(enhanceElement);
+  return inserted;
+}
+/**
+ * Fetches HTML from the given URL (GET) and inserts it relative to the target element through swapHtml.
+ * The target has the ak-loading class while the request is in progress (the latest one, when several overlap).
+ * @param {Element} aTarget The target element
+ * @param {string} aUrl The URL of the HTML fragment
+ * @param {string} [aMode='innerHTML'] One of SWAP_MODES (case insensitive)
+ * @param {AbortSignal} [aSignal] Aborts the request (the returned promise rejects with the abort reason)
+ * @returns {Promise<Element[]>} The inserted elements; rejects with an AKRequestError when the response is not ok
+ */
+export async function loadHtmlSync(aTarget, aUrl, aMode = 'innerHTML', aSignal = undefined) {
+  assert(isElement(aTarget));
+  let token = {};
+  LOADING.set(aTarget, token);
+  aTarget.classList.add('ak-loading');
+  try {
+    let response = await fetch(aUrl, { headers: { 'AK-Request': 'true' }, signal: aSignal });
+    let html = await response.text();
+    if (!response.ok)
+      throw namedError(fmt('Request to "%s" failed with status %s.', aUrl, response.status), 'AKRequestError');
+    if (aSignal) aSignal.throwIfAborted();
+    return swapHtml(aTarget, html, aMode);
+  }
+  finally {
+    if (LOADING.get(aTarget) === token) {
+      LOADING.delete(aTarget);
+      aTarget.classList.remove('ak-loading');
+    }
+  }
 }
 
+/* ******************************** AK NAMESPACE ******************************** */
 /**
  * Get the AKObject class instance from a DOM element, useful to access additional element properties.
  * If an AKObject of the given class cannot be created from the specified element it throws an error.
- * @this Element The element to be casted
+ * @param {Element} aElement The element to be casted
  * @param {string} aClassName A valid name of an AKObject class
  * @returns {AKObject} The newly created AKObject class instance
  */
-function asAKObject(aClassName) { return AKObjectManager.instance.get(this, aClassName); };
-Element.prototype.asAKObject = asAKObject;
-
-/**
- * Returns an array filled with the value splitted by a space of element's first attribute whose qualified name is aQualifiedName.
- * If there is no such attribute an empty array is returned.
- * @this Element The element
- * @param {string} aQualifiedName
- * @returns {string[]}
- */
-function getListAttribute(aQualifiedName) { return listAttribute(this, aQualifiedName); };
-Element.prototype.getListAttribute = getListAttribute;
-
+function asAKObject(aElement, aClassName) { return AKObjectManager.instance.get(aElement, aClassName); };
 /**
- * Creates and appends a child element to the element.
- * @this Element The parent element
- * @param {string} aTagName The tag of the new element
- * @param {string} aId The id of the new element
- * @param {string} aClasses The list of CSS classes separated by space
- * @param {Object.<string, string | number | boolean>} aAttributes The node attributes
- * @returns {Element} The child element
+ * Same as AK.as, but the element is looked up by its id (case sensitive) on the current document.
+ * @param {string} aId The id of the element to be casted
+ * @param {string} aClassName A valid name of an AKObject class
+ * @returns {AKObject}
  */
-function createChildElement(aTagName, aId, aClasses, aAttributes = {}) { return createAndAppendChild(this, aTagName, aId, aClasses, aAttributes); };
-Element.prototype.createChildElement = createChildElement;
-
+function asAKObjectById(aId, aClassName) { return AKObjectManager.instance.getById(aId, aClassName); };
 /**
- * Creates and appends a child element to the element and casts it as an AKObject.
- * @this Element the parent element
+ * Creates and appends a child element to the given parent and casts it as an AKObject.
+ * @param {Element} aParent The parent element
  * @param {string} aTagName The tag of the new element
  * @param {string} aId The id of the new element
  * @param {string} aClassName AKObject class name
  * @param {Object.<string, string | number | boolean>} aAttributes The node attributes
  * @returns {AKObject} The instance of the AKObject
  */
-function createChildAKObject(aTagName, aId, aClassName, aAttributes = {}) {
+function createChildAKObject(aParent, aTagName, aId, aClassName, aAttributes = {}) {
   let classDesc = isAKClass(aClassName);
   assert(classDesc);
-  let el = createAndAppendChild(this, aTagName, aId, '', aAttributes);
+  let el = createAndAppendChild(aParent, aTagName, aId, '', aAttributes);
   if (classDesc === 1)
     el.setAttribute('ak-component-class', aClassName);
   else
     el.setAttribute('ak-ui-classes', aClassName);
   return AKObjectManager.instance.get(el, aClassName);
-}
-Element.prototype.createChildAKObject = createChildAKObject;
\ No newline at end of file
+};
+/**
+ * Namespace of the DOM-level API, it does not patch any global object.
+ * The same functions can be added to Element.prototype by importing the optional "ak-prototype.js" module.
+ * @example
+ * AK.as(document.getElementById('main-tabpanel'), 'TabPanel').addTab('Title', panel);
+ */
+export const AK = Object.freeze({
+  as: asAKObject,
+  byId: asAKObjectById,
+  listAttribute: listAttribute,
+  createChild: createAndAppendChild,
+  createChildAKObject: createChildAKObject,
+  enhance: enhanceElement,
+  destroy: destroyElement,
+  detach: detachElement,
+  restore: restoreElement,
+  swap: swapHtml,
+  load: loadHtmlSync
+});
@@ -1,6 +1,7 @@
 'use strict';
 
-import { assert, assertFmt, fmt, isDescendant, isElement, isEmpty, isNonEmptyStr, iterateObject, matchText, namedError, sameText } from './ak-utils.js';
+import { assert, assertFmt, flattenObject, fmt, isDescendant, isElement, isEmpty, isNonEmptyStr, iterateObject, listAttribute, matchText, namedError, objToURLQuery, sameText } from './ak-utils.js';
+import { swapHtml } from './ak-base.js';
 
 /** @this AKObject @param {Boolean} aCondition @param {string} aErrMessage */
 function AKObjectAssert(aCondition, aErrMessage = 'Assertion failure.') { assertFmt(aCondition, '[%s] - ' + aErrMessage, this.className); };
@@ -11,6 +12,92 @@ function setCSSFromAttributes(aElement, aAttributes) {
     else aElement.classList.remove('ak-' + aAttribute);
   });
 }
+/** @param {Element} aElement @returns {(typeof AKUiElement)[]} The registered classes declared by the ak-ui-classes attribute (aliases resolved). */
+function declaredUiClasses(aElement) {
+  return listAttribute(aElement, 'ak-ui-classes')
+    .map(function (aClassName) { return AKUiClassesRegistry.instance.find(aClassName); })
+    .filter(Boolean);
+}
+/** @param {Element} aElement @returns {typeof AKComponent | null} The registered class declared by the ak-component-class attribute (aliases resolved). */
+function declaredComponentClass(aElement) {
+  return AKComponentRegistry.instance.find(aElement.getAttribute('ak-component-class'));
+}
+/**
+ * @typedef {Object} AKTrigger
+ * @property {string} event The name of the event ("load" and "every" are handled as special triggers)
+ * @property {Number} interval The polling interval in milliseconds (only for "every")
+ * @property {Boolean} once Whether the trigger should fire just once
+ */
+/** @param {Element} aElement @returns {string} The trigger used when the element does not declare any. */
+function defaultTrigger(aElement) {
+  if (aElement instanceof HTMLFormElement) return 'submit';
+  if ((aElement instanceof HTMLInputElement) || (aElement instanceof HTMLSelectElement) || (aElement instanceof HTMLTextAreaElement))
+    return 'change';
+  return 'click';
+}
+/**
+ * Parses a comma separated list of triggers, e.g. "click, every 5s" or "load once".
+ * @param {string} aValue @returns {AKTrigger[]}
+ */
+function parseTriggers(aValue) {
+  let units = { ms: 1, s: 1000, m: 60000 };
+  let result = [];
+  aValue.split(',').forEach(function (aTrigger) {
+    let tokens = aTrigger.trim().split(/\s+/);
+    if (!tokens[0]) return;
+    let trigger = { event: tokens[0], interval: 0, once: tokens.includes('once') };
+    if (sameText(trigger.event, 'every')) {
+      let match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/i.exec(tokens[1] ?? '');
+      assertFmt(match, 'Invalid polling interval in trigger "%s".', aTrigger.trim());
+      trigger.event = 'every';
+      trigger.interval = parseFloat(match[1]) * units[(match[2] ?? 'ms').toLowerCase()];
+    }
+    result.push(trigger);
+  });
+  return result;
+}
+/**
+ * Builds the arguments of the fetch call: parameters are sent as URL query for GET/DELETE requests, as body otherwise
+ * (FormData, URLSearchParams and strings as they are, objects urlencoded).
+ * @param {{url: string, method: string, headers: Object.<string, string>, params: Object | FormData | URLSearchParams | string | null}} aDetail
+ * @param {AbortSignal} aSignal
+ * @returns {[string, RequestInit]}
+ */
+function buildRequest(aDetail, aSignal) {
+  let url = aDetail.url;
+  let init = { method: aDetail.method, headers: aDetail.headers, signal: aSignal };
+  let params = aDetail.params;
+  if (isEmpty(params)) return [url, init];
+  if (['GET', 'DELETE'].includes(aDetail.method)) {
+    let query = ((params instanceof FormData) || (params instanceof URLSearchParams)) ? new URLSearchParams(params).toString()
+      : objToURLQuery(flattenObject(params));
+    if (query) url += (url.includes('?') ? '&' : '?') + query;
+  }
+  else if ((params instanceof FormData) || (params instanceof URLSearchParams) || (typeof(params) === 'string')) init.body = params;
+  else init.body = new URLSearchParams(flattenObject(params));
+  return [url, init];
+}
+/**
+ * Dispatches the bubbling (and cancelable) "notify" event on the element when the response has the AK-Notify header,
+ * whose value is either the plain message or a JSON object like {"message": "Saved", "type": "success"}.
+ * The type defaults to "error" for the responses that are not ok, to "info" otherwise.
+ * @param {Element} aElement 
+ * @param {Response} aResponse 
+ */
+function notifyFromResponse(aElement, aResponse) {
+  let value = aResponse.headers.get('AK-Notify');
+  if (!value) return;
+  let detail = null;
+  try {
+    detail = JSON.parse(value);
+  }
+  catch (aError) {
+    // Plain message.
+  }
+  if ((typeof(detail) !== 'object') || !detail) detail = { message: value };
+  if (!detail.type) detail.type = aResponse.ok ? 'info' : 'error';
+  aElement.dispatchEvent(new CustomEvent('notify', { bubbles: true, cancelable: true, detail: detail }));
+}
 
 /**
  * Abstract "shell" class to enclose all AKClientLib objects (and their common utilities), it should never be instantiated explicitly.
@@ -41,15 +128,18 @@ export class AKObject {
   static is(aElement) { throw namedError(fmt('[%s] - Abstracted method "is" called.', this.className), 'AKAbstractError'); };
   /** @type {Element} */
   #EL = null;
+  /** @type {Boolean} */
+  #DESTROYED = false;
   /** Performs some checks upon creation on the element on which the object is created. @param {Element} aElement @virtual */
   _validateElement(aElement) {
     this.constructor.AKAssert(isElement(aElement));
-    this.constructor.AKAssert(aElement.id);
   }
   /** Applies class properties and attributes to the element (listeners are added on this step). @param {Element} aElement @virtual */
   _applyClass(aElement) {}
   /** Override this method to perform custom actions after initializing. @virtual */
   _afterInitialization() {}
+  /** Override this method to release timers, observers and external references: it runs before the instance listeners get aborted. @virtual */
+  _beforeDestroy() {}
   /**
    * Creates the AKObject instance.
    * 
@@ -72,8 +162,21 @@ export class AKObject {
     this._afterInitialization();
     return this;
   }
+  /**
+   * Tears the instance down: calls _beforeDestroy, then aborts the listeners added by the instance and removes it from the registry.
+   * Overrides must call the inherited method.
+   * @virtual
+   */
+  destroy() {
+    if (this.#DESTROYED) return;
+    this.#DESTROYED = true;
+    this._beforeDestroy();
+    AKObjectManager.instance.release(this);
+  }
   /** Links to the DOM element */
   get el() { return this.#EL; };
+  /** Whether the instance has been destroyed. @type {Boolean} */
+  get destroyed() { return this.#DESTROYED; };
   /** Returns the first AKObject (adequately casted) that contains this, if any. @type {AKObject | null} @abstract */
   get parent() { throw namedError(fmt('[%s] - Abstracted method "parent" called.', this.constructor.className), 'AKAbstractError') };  
 }
@@ -86,9 +189,11 @@ export class AKUiElement extends AKObject {
   static get classes() { return []; };
   /** Supported attributes that correspond to CSS classes. @type {string[]} */
   static get supportedAtts() { return ['disabled', 'readonly', 'required', 'invalid', 'hidden']; };
+  /** Custom (configuration) attributes whose changes are notified to _attributeChanged, besides the supported ones. @type {string[]} @virtual */
+  static get observedAtts() { return []; };
   /** @param {Element} aElement @override */
   static is(aElement) {
-    let akClasses = aElement.getListAttribute('ak-ui-classes');
+    let akClasses = listAttribute(aElement, 'ak-ui-classes');
     /** @type {typeof AKUiElement} */
     let akClass;
     for (let i = 0; i < akClasses.length; i++) {
@@ -97,24 +202,66 @@ export class AKUiElement extends AKObject {
     }
     return null;
   };
+  /** @type {MutationObserver} */
+  #OBSERVER = null;
+  /** @param {MutationRecord[]} aMutationList */
+  #attributesMutated(aMutationList) {
+    /** @type {Object.<string, string | null>} Value of each attribute before the first change of the batch. */
+    let oldValues = {};
+    aMutationList.forEach(function (aMutation) {
+      if (!Object.hasOwn(oldValues, aMutation.attributeName))
+        oldValues[aMutation.attributeName] = aMutation.oldValue;
+    });
+    let ref = this;
+    iterateObject(oldValues, function (aAttributeName, aOldValue) {
+      let value = ref.el.getAttribute(aAttributeName);
+      if (value === aOldValue) return;
+      if (ref.constructor.supportedAtts.includes(aAttributeName))
+        setCSSFromAttributes(ref.el, [aAttributeName]);
+      ref._attributeChanged(aAttributeName, aOldValue, value);
+    });
+  };
   /* ****************** PROTECTED ****************** */
   /** @param {Element} aElement @override */
   _validateElement(aElement) {
     super._validateElement(aElement);
-    this.constructor.AKAssert(matchText(this.constructor.className, aElement.getListAttribute('ak-ui-classes')));
+    this.constructor.AKAssert(declaredUiClasses(aElement).includes(this.constructor));
   };
   /** @param {Element} aElement @override */
   _applyClass(aElement) {
     super._applyClass(aElement);
+    let ref = this;
     /// Setup event listeners.
     aElement.classList.add(...this.constructor.classes);
     iterateObject(this._handlers, function (aEventName, aHandler) {
       aElement.addEventListener(aEventName, function (aEvent) {
         aHandler.call(aElement, aEvent);
-      }, { signal: AKObjectManager.instance.listenerAdded(aElement) });
+      }, { signal: AKObjectManager.instance.listenerAdded(aElement, ref) });
     });
     /// Setup CSS classes for boolean attributes (standard and custom ones).
     setCSSFromAttributes(aElement, this.constructor.supportedAtts);
+    /// Keep them in sync (and notify the observed attributes changes) whoever changes the element attributes.
+    this.#OBSERVER = new MutationObserver(function (aMutationList) { ref.#attributesMutated(aMutationList); });
+    this.#OBSERVER.observe(aElement, {
+      attributes: true,
+      attributeOldValue: true,
+      attributeFilter: this.constructor.supportedAtts.concat(this.constructor.observedAtts)
+    });
+  };
+  /**
+   * Override this method to react to the changes (at runtime) of the supportedAtts and observedAtts attributes.
+   * @param {string} aAttributeName 
+   * @param {string | null} aOldValue null when the attribute has been added
+   * @param {string | null} aNewValue null when the attribute has been removed
+   * @virtual
+   */
+  _attributeChanged(aAttributeName, aOldValue, aNewValue) {};
+  /** @override */
+  _beforeDestroy() {
+    super._beforeDestroy();
+    this.#OBSERVER.disconnect();
+    this.#OBSERVER = null;
+    this.el.classList.remove(...this.constructor.classes);
   };
   /** Event handlers (name = event name). @type {Object.<string, EventListener>} @virtual */
   get _handlers() { return {}; };
@@ -126,8 +273,20 @@ export class AKUiElement extends AKObject {
    */
   setAttribute(aAttributeName, aAttributeValue) {
     this.el.setAttribute(aAttributeName, aAttributeValue);
-    if (this.constructor.supportedAtts.contains(aAttributeName))
+    if (this.constructor.supportedAtts.includes(aAttributeName))
+      setCSSFromAttributes(this.el, [aAttributeName]);
+  };
+  /**
+   * Toggles a boolean attribute on the element and matches the corrisponding CSS class (if any).
+   * @param {string} aAttributeName 
+   * @param {Boolean} [aForce] When given, the attribute is added (true) or removed (false)
+   * @returns {Boolean} Whether the attribute is now present
+   */
+  toggleAttribute(aAttributeName, aForce = undefined) {
+    let result = this.el.toggleAttribute(aAttributeName, aForce);
+    if (this.constructor.supportedAtts.includes(aAttributeName))
       setCSSFromAttributes(this.el, [aAttributeName]);
+    return result;
   };
   /** @type {AKUiElement | null} @override */
   get parent() {
@@ -144,7 +303,19 @@ export class AKUiElement extends AKObject {
 };
 /**
  * Base class for handling the client-server interactions.
- * **[IN DEVELOPMENT]**
+ *
+ * The request cycle is driven by the element attributes:
+ * - `ak-component-url` - the URL of the request (falls back to the `action`/`href` attributes);
+ * - `ak-component-method` - the HTTP method (falls back to the `method` attribute, then to GET);
+ * - `ak-component-trigger` - comma separated list of events that fire the request: any DOM event name, "load" (once enhanced)
+ * or "every <interval>" (polling, e.g. "every 5s"); the "once" modifier makes a trigger fire just once.
+ * Defaults to "submit" for forms, "change" for form fields, "click" for everything else;
+ * - `ak-component-target` - the id of the element that receives the response ("this" or no value = the component element);
+ * - `ak-component-swap` - how the response is inserted relative to the target, one of the SWAP_MODES (defaults to innerHTML).
+ *
+ * Each request dispatches the cancelable (and bubbling) events `beforerequest`, `afterrequest` and `requesterror` on the element:
+ * canceling `beforerequest` aborts the request, canceling `afterrequest` skips inserting the response, canceling `requesterror`
+ * skips the default error logging.
  */
 export class AKComponent extends AKObject {
   /* ****************** CLASS METHODS ****************** */
@@ -159,13 +330,143 @@ export class AKComponent extends AKObject {
     }
     return null;    
   };
+  /** @type {AbortController} */
+  #REQUEST = null;
+  /**
+   * Sends the request on behalf of a trigger: errors thrown before the request is sent (e.g. a missing URL or target)
+   * are dispatched through the cancelable "requesterror" event, logged unless canceled.
+   * @param {Event | null} aTrigger
+   */
+  #fire(aTrigger) {
+    let element = this.el;
+    this.requestSync(aTrigger).catch(function (aError) {
+      let detail = { trigger: aTrigger, response: null, html: null, error: aError };
+      if (element.dispatchEvent(new CustomEvent('requesterror', { bubbles: true, cancelable: true, detail: detail })))
+        console.error(aError);
+    });
+  };
+  /** @param {AKTrigger} aTrigger @param {AbortSignal} aSignal */
+  #applyTrigger(aTrigger, aSignal) {
+    let ref = this;
+    if (aTrigger.event === 'load')
+      setTimeout(function () { if (!aSignal.aborted) ref.#fire(null); });
+    else if (aTrigger.event === 'every') {
+      let timer = setInterval(function () { ref.#fire(null); }, aTrigger.interval);
+      aSignal.addEventListener('abort', function () { clearInterval(timer); });
+    }
+    else
+      this.el.addEventListener(aTrigger.event, function (aEvent) {
+        if ((aEvent.type === 'submit') || ((aEvent.type === 'click') && (ref.el instanceof HTMLAnchorElement)))
+          aEvent.preventDefault();
+        ref.#fire(aEvent);
+      }, { signal: aSignal, once: aTrigger.once });
+  };
   /* ****************** PROTECTED ****************** */
   /** @param {Element} aElement @override */
   _validateElement(aElement) {
     super._validateElement(aElement);
-    this.constructor.AKAssert(sameText(this.constructor.className, aElement.getAttribute('ak-component-class')));
+    this.constructor.AKAssert(declaredComponentClass(aElement) === this.constructor);
+  };
+  /** @param {Element} aElement @override */
+  _applyClass(aElement) {
+    super._applyClass(aElement);
+    let ref = this;
+    let signal = AKObjectManager.instance.listenerAdded(aElement, this);
+    signal.addEventListener('abort', function () { if (ref.#REQUEST) ref.#REQUEST.abort(); });
+    parseTriggers(aElement.getAttribute('ak-component-trigger') ?? defaultTrigger(aElement)).forEach(function (aTrigger) {
+      ref.#applyTrigger(aTrigger, signal);
+    });
+  };
+  /**
+   * Returns the parameters sent along with the request: forms send their fields (along with the submitter of the
+   * triggering submit event), form fields send their own name/value pair.
+   * @param {Event | null} aTrigger The event that triggered the request (if any)
+   * @returns {Object | FormData | URLSearchParams | string | null}
+   * @virtual
+   */
+  _requestParams(aTrigger) {
+    let element = this.el;
+    if (element instanceof HTMLFormElement) return new FormData(element, aTrigger?.submitter ?? null);
+    if (isNonEmptyStr(element.name) && ('value' in element)) return { [element.name]: element.value };
+    return null;
   };
+  /** @returns {Object.<string, string>} The headers sent along with the request @virtual */
+  _requestHeaders() { return { 'AK-Request': 'true', 'AK-Component': this.constructor.className, 'AK-Element': this.el.id }; };
+  /**
+   * Inserts the response HTML relative to the target element.
+   * @param {Element} aTarget
+   * @param {string} aHtml
+   * @param {string} aMode One of the SWAP_MODES
+   * @virtual
+   */
+  _swap(aTarget, aHtml, aMode) { swapHtml(aTarget, aHtml, aMode); };
   /* ****************** PUBLIC ****************** */
+  /** The request URL. @type {string | null} */
+  get url() { return this.el.getAttribute('ak-component-url') ?? this.el.getAttribute('action') ?? this.el.getAttribute('href'); };
+  /** The (uppercase) HTTP method of the request. @type {string} */
+  get method() { return (this.el.getAttribute('ak-component-method') ?? this.el.getAttribute('method') ?? 'GET').toUpperCase(); };
+  /** The element that receives the response. @type {Element} */
+  get target() {
+    let targetId = this.el.getAttribute('ak-component-target');
+    if (!targetId || sameText(targetId, 'this')) return this.el;
+    let result = this.el.ownerDocument.getElementById(targetId);
+    this.constructor.AKAssert(result, fmt('Target element "%s" not found.', targetId));
+    return result;
+  };
+  /** How the response is inserted relative to the target (see SWAP_MODES). @type {string} */
+  get swap() { return this.el.getAttribute('ak-component-swap') ?? 'innerHTML'; };
+  /** Whether a request is in progress. @type {Boolean} */
+  get busy() { return Boolean(this.#REQUEST); };
+  /**
+   * Sends the request and inserts the response in the target element; a request still in progress gets aborted.
+   * @param {Event | null} [aTrigger=null] The event that triggered the request (if any)
+   * @returns {Promise<Response | null>} The response, null when the request has been canceled or aborted
+   */
+  async requestSync(aTrigger = null) {
+    let url = this.url;
+    this.constructor.AKAssert(isNonEmptyStr(url), 'Missing request URL.');
+    let element = this.el;
+    let detail = {
+      url: url,
+      method: this.method,
+      headers: this._requestHeaders(),
+      params: this._requestParams(aTrigger),
+      target: this.target,
+      swap: this.swap,
+      trigger: aTrigger,
+      response: null,
+      html: null,
+      error: null
+    };
+    if (!element.dispatchEvent(new CustomEvent('beforerequest', { bubbles: true, cancelable: true, detail: detail }))) return null;
+    if (this.#REQUEST) this.#REQUEST.abort();
+    let controller = new AbortController();
+    this.#REQUEST = controller;
+    element.classList.add('ak-loading');
+    try {
+      detail.response = await fetch(...buildRequest(detail, controller.signal));
+      notifyFromResponse(element, detail.response);
+      detail.html = await detail.response.text();
+      if (!detail.response.ok)
+        throw namedError(fmt('Request to "%s" failed with status %s.', url, detail.response.status), 'AKRequestError');
+    }
+    catch (aError) {
+      if (controller.signal.aborted) return null;
+      detail.error = aError;
+      if (element.dispatchEvent(new CustomEvent('requesterror', { bubbles: true, cancelable: true, detail: detail })))
+        console.error(aError);
+      return detail.response;
+    }
+    finally {
+      if (this.#REQUEST === controller) {
+        this.#REQUEST = null;
+        element.classList.remove('ak-loading');
+      }
+    }
+    if (element.dispatchEvent(new CustomEvent('afterrequest', { bubbles: true, cancelable: true, detail: detail })))
+      this._swap(detail.target, detail.html, detail.swap);
+    return detail.response;
+  };
   /** @type {AKComponent | null} @override */
   get parent() {
     let result = this.el.parentElement;
@@ -180,68 +481,205 @@ export class AKComponent extends AKObject {
   };
 };
 
-/** Registry for AKUiElement classes */
-export class AKUiClassesRegistry {
+/**
+ * @typedef {Object} AKClassEntry
+ * @property {string} name The registered name of the class (namespace included, if any)
+ * @property {string[]} aliases The alternative names of the class
+ * @property {typeof AKObject} class The class
+ */
+/**
+ * Generic registry of AKObject classes, it should never be instantiated explicitly (see AKUiClassesRegistry and AKComponentRegistry).
+ *
+ * Class names are case insensitive, they can be namespaced ("acme:DatePicker") and each class can be reached by its aliases too.
+ * Registering a name already in use by another class follows the registry policy: "ignore" (default) keeps the registered class,
+ * "replace" replaces it (already created instances are not affected), "error" throws an error; the first two log a warning.
+ *
+ * The "register" and "unregister" events are dispatched on the registry (event detail = AKClassEntry).
+ */
+class AKClassRegistry extends EventTarget {
+  /** @type {string} */
+  #NAME = '';
+  /** @type {typeof AKObject} */
+  #BASECLASS = null;
+  /** Entries by lowercased name. @type {Object.<string, AKClassEntry>} */
   #ITEMS = {};
-  /** @type {AKUiClassesRegistry} */
-  static #INSTANCE = null;
-  static get instance() {
-    if (!this.#INSTANCE)
-      this.#INSTANCE = new AKUiClassesRegistry();
-    return this.#INSTANCE;
+  /** Lowercased names by lowercased alias. @type {Object.<string, string>} */
+  #ALIASES = {};
+  /** Policy applied when registering a name already in use. @type {'ignore' | 'replace' | 'error'} */
+  policy = 'ignore';
+  /** @param {string} aName The name used in messages @param {typeof AKObject} aBaseClass The class every registered class must inherit from */
+  constructor(aName, aBaseClass) {
+    super();
+    this.#NAME = aName;
+    this.#BASECLASS = aBaseClass;
+  };
+  /** @param {string} aClassName @returns {string | null} The lowercased name of the registered class, resolving aliases */
+  #key(aClassName) {
+    if (!isNonEmptyStr(aClassName)) return null;
+    let key = aClassName.toLowerCase();
+    if (Object.hasOwn(this.#ITEMS, key)) return key;
+    return this.#ALIASES[key] ?? null;
+  };
+  /**
+   * Checks the conflicts of a name being registered and returns whether the registration should go on.
+   * @param {string} aClassName @param {typeof AKObject} aClass @param {string} aPolicy
+   * @returns {Boolean}
+   */
+  #checkConflict(aClassName, aClass, aPolicy) {
+    let registered = this.find(aClassName);
+    if (!registered) return true;
+    if (registered === aClass) return false;
+    let message = fmt('[%s] Name "%s" is already in use by another class', this.#NAME, aClassName);
+    assertFmt(['ignore', 'replace', 'error'].includes(aPolicy), '[%s] Invalid registration policy "%s".', this.#NAME, aPolicy);
+    if (aPolicy === 'error')
+      throw namedError(message + '.', 'AKRegistryError');
+    console.warn(message + (aPolicy === 'ignore' ? ', registration ignored.' : ', replacing it.'));
+    if (aPolicy === 'ignore') return false;
+    this.#releaseName(aClassName);
+    return true;
+  };
+  /**
+   * Frees a name of another class, which keeps its other names: when it's the registered name of the class, the first
+   * alias takes its place (the class is unregistered when it has no aliases). The className of the class is left as is,
+   * its instances being bound to the class itself.
+   * @param {string} aClassName 
+   */
+  #releaseName(aClassName) {
+    let key = aClassName.toLowerCase();
+    let entry = this.#ITEMS[key];
+    if (!entry || (entry.aliases.length === 0)) {
+      this.unregister(aClassName);
+      return;
+    }
+    let ref = this;
+    let name = entry.aliases.shift();
+    delete this.#ITEMS[key];
+    delete this.#ALIASES[name.toLowerCase()];
+    entry.name = name;
+    this.#ITEMS[name.toLowerCase()] = entry;
+    entry.aliases.forEach(function (aAlias) { ref.#ALIASES[aAlias.toLowerCase()] = name.toLowerCase(); });
+  };
+  /** @param {typeof AKObject} aClass @returns {Boolean} Whether the class is registered (under any name) */
+  #isRegistered(aClass) {
+    return Object.values(this.#ITEMS).some(function (aEntry) { return aEntry.class === aClass; });
+  };
+  /** @param {string} aEventName @param {AKClassEntry} aEntry */
+  #notify(aEventName, aEntry) {
+    this.dispatchEvent(new CustomEvent(aEventName, { detail: { name: aEntry.name, aliases: aEntry.aliases.slice(), class: aEntry.class } }));
   };
   /**
    * @param {string} aClassName 
-   * @returns {typeof AKUiElement | null}
+   * @returns {typeof AKObject | null}
    */
   find(aClassName) {
-    if (!isNonEmptyStr(aClassName)) return null;
-    return this.#ITEMS[aClassName.toLowerCase()] ?? null;
+    let key = this.#key(aClassName);
+    return key ? this.#ITEMS[key].class : null;
   };
   /**
+   * Registers the class under the given name (and aliases).
    * @param {string} aClassName 
-   * @param {typeof AKUiElement} aClass
+   * @param {typeof AKObject} aClass
+   * @param {{namespace?: string, aliases?: string[], policy?: 'ignore' | 'replace' | 'error'}} [aOptions] When a namespace
+   * is given, the class is registered as "namespace:aClassName"; the policy overrides the registry one for this registration
    */
-  register(aClassName, aClass) {
+  register(aClassName, aClass, aOptions = {}) {
     assert(isNonEmptyStr(aClassName));
-    if (this.find(aClassName)) return;
-    this.#ITEMS[aClassName.toLowerCase()] = aClass;
-    aClass.className = aClassName;
+    assertFmt(isDescendant(aClass, this.#BASECLASS), '[%s] Class "%s" is not a %s.', this.#NAME, aClassName, this.#BASECLASS.name);
+    let name = isNonEmptyStr(aOptions.namespace) ? aOptions.namespace + ':' + aClassName : aClassName;
+    let policy = aOptions.policy ?? this.policy;
+    if (!this.#checkConflict(name, aClass, policy)) return;
+    // A class registered under several names keeps the first one (inherited names don't count), an already registered
+    // class is never renamed.
+    if (!Object.hasOwn(aClass, 'className') || !this.#isRegistered(aClass)) aClass.className = name;
+    let entry = { name: name, aliases: [], class: aClass };
+    this.#ITEMS[name.toLowerCase()] = entry;
+    let ref = this;
+    (aOptions.aliases ?? []).forEach(function (aAlias) {
+      if (ref.#checkConflict(aAlias, aClass, policy)) ref.#addAlias(entry, aAlias);
+    });
+    this.#notify('register', entry);
+  };
+  /** @param {AKClassEntry} aEntry @param {string} aAlias */
+  #addAlias(aEntry, aAlias) {
+    this.#ALIASES[aAlias.toLowerCase()] = aEntry.name.toLowerCase();
+    aEntry.aliases.push(aAlias);
+  };
+  /**
+   * Adds an alternative name to a registered class.
+   * @param {string} aAlias 
+   * @param {string} aClassName The name (or another alias) of the class
+   */
+  alias(aAlias, aClassName) {
+    assert(isNonEmptyStr(aAlias));
+    let entry = this.#ITEMS[this.#key(aClassName)];
+    assertFmt(entry, '[%s] Class "%s" not found.', this.#NAME, aClassName);
+    if (this.#checkConflict(aAlias, entry.class, this.policy)) this.#addAlias(entry, aAlias);
   };
   /**
+   * Removes the class (and all of its aliases) from the registry; an alias removes just itself.
    * @param {string} aClassName 
    */
   unregister(aClassName) {
     if (!isNonEmptyStr(aClassName)) return;
-    delete this.#ITEMS[aClassName.toLowerCase()];
+    let key = aClassName.toLowerCase();
+    let canonical = this.#ALIASES[key];
+    if (canonical) {
+      let entry = this.#ITEMS[canonical];
+      entry.aliases = entry.aliases.filter(function (aAlias) { return !sameText(aAlias, aClassName); });
+      delete this.#ALIASES[key];
+      return;
+    }
+    let entry = this.#ITEMS[key];
+    if (!entry) return;
+    let ref = this;
+    entry.aliases.forEach(function (aAlias) { delete ref.#ALIASES[aAlias.toLowerCase()]; });
+    delete this.#ITEMS[key];
+    this.#notify('unregister', entry);
   };
   /**
    * @param {string} aClassName 
-   * @returns {typeof AKUiElement} 
+   * @returns {typeof AKObject} 
    */
   get(aClassName) {
     let result = this.find(aClassName);
-    assertFmt(result, '[AKUiClassesRegistry] Class "%s" not found.', aClassName);
+    assertFmt(result, '[%s] Class "%s" not found.', this.#NAME, aClassName);
     return result;
   };
   /**
-   * 
    * @param {string | string[]} aClassName 
    * @returns {Boolean}
    */
   contains(aClassName) {
-    if (Array.isArray(aClassName)) {
-      for (let i = 0; i < aClassName.length; i++)
-        if (!Object.hasOwn(this.#ITEMS, aClassName[i]))
-          return false;
-      return true;
-    }
-    return Object.hasOwn(this.#ITEMS, aClassName);
+    let ref = this;
+    if (Array.isArray(aClassName))
+      return aClassName.every(function (aItem) { return Boolean(ref.#key(aItem)); });
+    return Boolean(this.#key(aClassName));
+  };
+  /**
+   * Lists the registered classes, useful for debugging tools.
+   * @param {string} [aNamespace] When given, only the classes of that namespace are listed
+   * @returns {AKClassEntry[]}
+   */
+  list(aNamespace) {
+    let prefix = isNonEmptyStr(aNamespace) ? aNamespace.toLowerCase() + ':' : '';
+    return Object.values(this.#ITEMS)
+      .filter(function (aEntry) { return aEntry.name.toLowerCase().startsWith(prefix); })
+      .map(function (aEntry) { return { name: aEntry.name, aliases: aEntry.aliases.slice(), class: aEntry.class }; });
   };
 };
+/** Registry for AKUiElement classes */
+export class AKUiClassesRegistry extends AKClassRegistry {
+  /** @type {AKUiClassesRegistry} */
+  static #INSTANCE = null;
+  static get instance() {
+    if (!this.#INSTANCE)
+      this.#INSTANCE = new AKUiClassesRegistry();
+    return this.#INSTANCE;
+  };
+  constructor() { super('AKUiClassesRegistry', AKUiElement); };
+};
 /** Registry for AKComponent classes */
-export class AKComponentRegistry {
-  #ITEMS = {};
+export class AKComponentRegistry extends AKClassRegistry {
   /** @type {AKComponentRegistry} */
   static #INSTANCE = null;
   static get instance() {
@@ -249,124 +687,173 @@ export class AKComponentRegistry {
       this.#INSTANCE = new AKComponentRegistry();
     return this.#INSTANCE;
   };
-  /**
-   * @param {string} aClassName 
-   * @returns {typeof AKComponent | null}
-   */
-  find(aClassName) {
-    if (!isNonEmptyStr(aClassName)) return null;
-    return this.#ITEMS[aClassName.toLowerCase()] ?? null;
+  constructor() { super('AKComponentRegistry', AKComponent); };
+};
+/**
+ * Loader of the AKObject classes that are not registered up front: each class name is mapped to the URL of the ES module
+ * that registers it, and the module gets imported the first time an element declaring that class is enhanced.
+ * @example
+ * AKClassLoader.instance.map({ 'DatePicker': '/js/date-picker.js', 'Chart': '/js/chart.js' });
+ */
+export class AKClassLoader {
+  /** Module URL of each class (keys are lowercased class names). @type {Object.<string, string>} */
+  #MODULES = {};
+  /** Pending or resolved imports (keys are module URLs). @type {Object.<string, Promise<Object>>} */
+  #IMPORTS = {};
+  /** @type {AKClassLoader} */
+  static #INSTANCE = null;
+  static get instance() {
+    if (!this.#INSTANCE)
+      this.#INSTANCE = new AKClassLoader();
+    return this.#INSTANCE;
   };
   /**
-   * @param {string} aClassName 
-   * @param {typeof AKComponent} aClass
+   * Declares the modules of the given classes; relative URLs are resolved against the document base URL.
+   * @param {Object.<string, string>} aModuleMap Class name => module URL
    */
-  register(aClassName, aClass) {
-    assert(isNonEmptyStr(aClassName));
-    if (this.find(aClassName)) return;
-    this.#ITEMS[aClassName.toLowerCase()] = aClass;
-    aClass.className = aClassName;
+  map(aModuleMap) {
+    let ref = this;
+    iterateObject(aModuleMap, function (aClassName, aUrl) {
+      assert(isNonEmptyStr(aClassName) && isNonEmptyStr(aUrl));
+      ref.#MODULES[aClassName.toLowerCase()] = new URL(aUrl, window.document.baseURI).href;
+    });
   };
   /**
    * @param {string} aClassName 
+   * @returns {Boolean} Whether a module has been declared for the class
    */
-  unregister(aClassName) {
-    if (!isNonEmptyStr(aClassName)) return;
-    delete this.#ITEMS[aClassName.toLowerCase()];
+  has(aClassName) {
+    return isNonEmptyStr(aClassName) && Object.hasOwn(this.#MODULES, aClassName.toLowerCase());
   };
   /**
+   * Imports the module declared for the class (just once) and returns the class it registered.
+   * Rejects with an AKClassLoadError when the module cannot be imported or it does not register the class.
    * @param {string} aClassName 
-   * @returns {typeof AKComponent} 
-   */
-  get(aClassName) {
-    let result = this.find(aClassName);
-    assertFmt(result, '[AKComponentRegistry] Class "%s" not found.', aClassName);
-    return result;
-  };
-  /**
-   * @param {string | string[]} aClassName 
-   * @returns {Boolean}
+   * @param {AKUiClassesRegistry | AKComponentRegistry} aRegistry The registry the class is expected in
+   * @returns {Promise<typeof AKObject>}
    */
-  contains(aClassName) {
-    if (Array.isArray(aClassName)) {
-      for (let i = 0; i < aClassName.length; i++)
-        if (!Object.hasOwn(this.#ITEMS, aClassName[i]))
-          return false;
-      return true;
+  async loadSync(aClassName, aRegistry) {
+    let result = aRegistry.find(aClassName);
+    if (result) return result;
+    let url = this.#MODULES[aClassName.toLowerCase()];
+    if (!url)
+      throw namedError(fmt('No module declared for class "%s".', aClassName), 'AKClassLoadError');
+    this.#IMPORTS[url] ??= import(url);
+    try {
+      await this.#IMPORTS[url];
+    }
+    catch (aError) {
+      delete this.#IMPORTS[url]; // Allows retrying.
+      let error = namedError(fmt('Could not import module "%s" for class "%s": %s', url, aClassName, aError.message), 'AKClassLoadError');
+      error.cause = aError;
+      throw error;
     }
-    return Object.hasOwn(this.#ITEMS, aClassName);
+    result = aRegistry.find(aClassName);
+    if (!result)
+      throw namedError(fmt('Module "%s" did not register class "%s".', url, aClassName), 'AKClassLoadError');
+    return result;
   };
 };
 /**
  *  @typedef {Object} AKRegisteredObject
- *  @property {Object.<string, AKObject>} instances
- *  @property {AbortController[]} controllers
+ *  @property {Map<typeof AKObject, AKObject>} instances Instances keyed by their class (in creation order)
+ *  @property {Map<typeof AKObject | null, AbortController[]>} controllers Controllers grouped by instance class (null = element listeners)
  */
 /**
- * Registry for element listeners. For each registered element (id), it holds an array
- * of abort controllers whose signal is binded to a event listener attached to it.
+ * Registry for element listeners. For each registered element, it holds the arrays of abort controllers
+ * whose signal is binded to a event listener attached to it.
+ * Items are keyed by the element itself (weakly held), so elements need no id and are released along with the DOM nodes.
  */
 class AKObjectRegistry {
-  /** @type {Object.<string, AKRegisteredObject>} */
-  #ITEMS = {};
+  /** @type {WeakMap<Element, AKRegisteredObject>} */
+  #ITEMS = new WeakMap();
+  /** @param {AbortController[]} aControllers */
+  static #abort(aControllers) {
+    if (!aControllers) return;
+    for (let i = 0; i < aControllers.length; i++)
+      aControllers[i].abort();
+  };
+  /** @param {Element} aElement @returns {AKRegisteredObject} */
+  #item(aElement) {
+    let result = this.#ITEMS.get(aElement);
+    if (!result) {
+      result = { instances: new Map(), controllers: new Map() };
+      this.#ITEMS.set(aElement, result);
+    }
+    return result;
+  };
   /**
-   * @param {string} aId 
+   * @param {Element} aElement 
    * @param {typeof AKObject} aClass
    * @returns {Boolean}
    */
-  has(aId, aClass) {
-    assert(isNonEmptyStr(aId));
-    let className = aClass.className;
-    if (this.#ITEMS[aId])
-      return Boolean(this.#ITEMS[aId].instances[className]);
+  has(aElement, aClass) {
+    let item = this.#ITEMS.get(aElement);
+    if (item)
+      return item.instances.has(aClass);
     return false;
   };
   /**
    * @param {AKObject} aObject
-   * @param {string} aId
    * @returns {AKObject}
    */
-  register(aObject, aId) {
+  register(aObject) {
     assert(aObject);
-    assert(isNonEmptyStr(aId));
-    let className = aObject.constructor.className;
-    let item = this.#ITEMS[aId];
-    if (isEmpty(item))
-      this.#ITEMS[aId] = { instances: {}, controllers: [] };
-    assert(!this.#ITEMS[aId].instances[className]);
-    this.#ITEMS[aId].instances[className] = aObject;
+    let item = this.#item(aObject.el);
+    assert(!item.instances.has(aObject.constructor));
+    item.instances.set(aObject.constructor, aObject);
     return aObject;
   };
   /**
-   * @param {string} aId
+   * @param {Element} aElement
    * @param {typeof AKObject} aClass
    * @returns {AKObject}
    */
-  getAKObject(aId, aClass) {
-    let result = this.#ITEMS[aId].instances[aClass.className];
+  getAKObject(aElement, aClass) {
+    let result = this.#ITEMS.get(aElement)?.instances.get(aClass);
     assert(result);
     return result;
   }
   /**
-   * @param {string} aId 
+   * @param {Element} aElement
+   * @returns {AKObject[]}
+   */
+  getAKObjects(aElement) {
+    let item = this.#ITEMS.get(aElement);
+    if (!item) return [];
+    return Array.from(item.instances.values());
+  };
+  /**
+   * @param {Element} aElement 
+   * @param {typeof AKObject | null} [aClass=null] The class of the instance that owns the listener (null = none)
    * @returns {AbortSignal | null}
    */
-  addListenerController(aId) {
-    let item = this.#ITEMS[aId];
-    assert(item);
+  addListenerController(aElement, aClass = null) {
+    let item = this.#item(aElement); // Plain elements can have listeners too.
     let controller = new AbortController();
-    item.controllers.push(controller);
+    if (!item.controllers.has(aClass)) item.controllers.set(aClass, []);
+    item.controllers.get(aClass).push(controller);
     return controller.signal;
   };
   /**
-   * @param {string} aId
+   * @param {Element} aElement
+   * @param {typeof AKObject} aClass
+   */
+  unregisterAKObject(aElement, aClass) {
+    let item = this.#ITEMS.get(aElement);
+    if (!item) return;
+    AKObjectRegistry.#abort(item.controllers.get(aClass));
+    item.controllers.delete(aClass);
+    item.instances.delete(aClass);
+  };
+  /**
+   * @param {Element} aElement
    */
-  unregister(aId) {
-    let item = this.#ITEMS[aId];
+  unregister(aElement) {
+    let item = this.#ITEMS.get(aElement);
     if (!item) return;
-    for (let i = 0; i < item.controllers.length; i++)
-      item.controllers[i].abort();
-    delete this.#ITEMS[aId];
+    item.controllers.forEach(function (aControllers) { AKObjectRegistry.#abort(aControllers); });
+    this.#ITEMS.delete(aElement);
   };
 };
 
@@ -395,47 +882,127 @@ export class AKObjectManager {
    */
   get(aElement, aClassName) {
     assert(isElement(aElement));
-    assert(isNonEmptyStr(aElement.id));
     assert(isNonEmptyStr(aClassName));
     /** @type {typeof AKObject} */
     let akClass = null;
-    if (sameText(aClassName, aElement.getAttribute('ak-component-class') ?? ''))
-      akClass = AKComponentRegistry.instance.get(aClassName);
-    if (matchText(aClassName, aElement.getListAttribute('ak-ui-classes')))
-      akClass = AKUiClassesRegistry.instance.get(aClassName);
+    let componentClass = AKComponentRegistry.instance.find(aClassName);
+    let uiClass = AKUiClassesRegistry.instance.find(aClassName);
+    if (componentClass && (componentClass === declaredComponentClass(aElement)))
+      akClass = componentClass;
+    if (uiClass && declaredUiClasses(aElement).includes(uiClass))
+      akClass = uiClass;
     if (!akClass)
-      throw namedError(fmt('Invalid AKObject class %s for element %s.', aClassName, aElement.id), 'AKInvalidTypecast');
-    let id = aElement.id.toLowerCase();
-    if (this.#REGISTRY.has(id, akClass))
-      return this.#REGISTRY.getAKObject(id, akClass);
-    return this.#REGISTRY.register(new akClass(aElement), id).init();
+      throw namedError(fmt('Invalid AKObject class %s for element %s.', aClassName, aElement.id || aElement.tagName), 'AKInvalidTypecast');
+    if (this.#REGISTRY.has(aElement, akClass))
+      return this.#REGISTRY.getAKObject(aElement, akClass);
+    return this.#REGISTRY.register(new akClass(aElement)).init();
   };
   /**
-   * Removes the element from the registry.
+   * Same as get, but the element is looked up by its id (case sensitive).
+   * @param {string} aId 
+   * @param {string} aClassName 
+   * @param {Document} [aDocument=window.document] The document holding the element
+   * @returns {AKObject}
+   */
+  getById(aId, aClassName, aDocument = window.document) {
+    let element = aDocument.getElementById(aId);
+    assertFmt(element, 'Element "%s" not found.', aId);
+    return this.get(element, aClassName);
+  };
+  /**
+   * Returns all of the registered class instances bound to the element.
+   * @param {Element} aElement 
+   * @returns {AKObject[]}
+   */
+  instances(aElement) {
+    assert(isElement(aElement));
+    return this.#REGISTRY.getAKObjects(aElement);
+  };
+  /**
+   * Destroys the element instances (in reverse creation order) and removes the element from the registry.
    * @param {Element} aElement 
    */
   delete(aElement) {
-    this.#REGISTRY.unregister(aElement.id.toLowerCase());
+    this.instances(aElement).reverse().forEach(function (aObject) { aObject.destroy(); });
+    this.#REGISTRY.unregister(aElement);
+  };
+  /**
+   * Removes a single class instance from the registry, aborting the listeners it added.
+   * It is invoked by AKObject.destroy, which should be preferred.
+   * @param {AKObject} aObject 
+   */
+  release(aObject) {
+    assert(aObject instanceof AKObject);
+    this.#REGISTRY.unregisterAKObject(aObject.el, aObject.constructor);
+  };
+  /**
+   * Casts the element as the given class; when the class is not registered yet but its module has been declared
+   * on AKClassLoader, the instance gets created (asynchronously) once the module is loaded.
+   * Loading failures dispatch the cancelable (and bubbling) "loaderror" event on the element, logging the error unless canceled.
+   * @param {Element} aElement 
+   * @param {string} aClassName 
+   * @param {AKUiClassesRegistry | AKComponentRegistry} aRegistry 
+   * @returns {Promise<void> | null} Settled once the module is loaded (and the instance created, if it succeeds), null
+   * when the instance has been created synchronously
+   */
+  #enhanceAs(aElement, aClassName, aRegistry) {
+    if (aRegistry.find(aClassName) || !AKClassLoader.instance.has(aClassName)) {
+      this.get(aElement, aRegistry.get(aClassName).className);
+      return null;
+    }
+    let ref = this;
+    return AKClassLoader.instance.loadSync(aClassName, aRegistry).then(function () {
+      // The element could have been removed or changed while loading.
+      if (aElement.isConnected && (matchText(aClassName, listAttribute(aElement, 'ak-ui-classes')) ||
+        sameText(aClassName, aElement.getAttribute('ak-component-class') ?? '')))
+        ref.get(aElement, aClassName);
+    }).catch(function (aError) {
+      // Loading or instance creation failures alike.
+      if (aElement.dispatchEvent(new CustomEvent('loaderror', { bubbles: true, cancelable: true, detail: { className: aClassName, error: aError } })))
+        console.error(aError);
+    });
   };
   /**
    * Adds the AKLib logic to a plain DOM element if that element supports it.
    * @param {Element} aElement 
+   * @returns {Promise<void> | null} Settled once the lazily loaded classes (see AKClassLoader) are ready, null when
+   * there are none
    */
   enhance(aElement) {
+    let pending = [];
     if (aElement.hasAttribute('ak-component-class'))
-      this.get(aElement, aElement.getAttribute('ak-component-class'));
+      pending.push(this.#enhanceAs(aElement, aElement.getAttribute('ak-component-class'), AKComponentRegistry.instance));
     let ref = this;
-    aElement.getListAttribute('ak-ui-classes').forEach(function (aClassName) {
-      ref.get(aElement, aClassName);
+    listAttribute(aElement, 'ak-ui-classes').forEach(function (aClassName) {
+      pending.push(ref.#enhanceAs(aElement, aClassName, AKUiClassesRegistry.instance));
+    });
+    pending = pending.filter(Boolean);
+    return (pending.length > 0) ? Promise.all(pending).then(function () {}) : null;
+  };
+  /**
+   * Matches the element instances with its attributes: releases the instances whose class is no longer declared,
+   * then creates the ones of the newly declared classes.
+   * @param {Element} aElement 
+   */
+  refresh(aElement) {
+    let uiClasses = declaredUiClasses(aElement);
+    let componentClass = declaredComponentClass(aElement);
+    this.instances(aElement).forEach(function (aObject) {
+      if ((aObject instanceof AKUiElement) && !uiClasses.includes(aObject.constructor)) aObject.destroy();
+      if ((aObject instanceof AKComponent) && (aObject.constructor !== componentClass)) aObject.destroy();
     });
+    this.enhance(aElement);
   };
   /**
    * Creates an abort controller for the added listener and returns its signal.
+   * When the listener is added by a class instance, it gets aborted as soon as the instance is released.
    * @param {Element} aElement 
+   * @param {AKObject | null} [aObject=null] The class instance adding the listener
    * @returns {AbortSignal | null}
    */
-  listenerAdded(aElement) {
-    return this.#REGISTRY.addListenerController(aElement.id.toLowerCase());
+  listenerAdded(aElement, aObject = null) {
+    assert((!aObject) || (aObject.el === aElement));
+    return this.#REGISTRY.addListenerController(aElement, aObject?.constructor ?? null);
   };
 };
 
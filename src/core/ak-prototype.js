@@ -0,0 +1,51 @@
+/**** OPTIONAL ELEMENT.PROTOTYPE EXTENSIONS
+ * Importing this module adds the functions of the AK namespace to Element.prototype, for convenience.
+ * The library itself never relies on them: skip this module when patching globals is not an option.
+ */
+'use strict';
+
+import { AK } from './ak-base.js';
+
+/**
+ * Get the AKObject class instance from a DOM element, useful to access additional element properties.
+ * If an AKObject of the given class cannot be created from the specified element it throws an error.
+ * @this Element The element to be casted
+ * @param {string} aClassName A valid name of an AKObject class
+ * @returns {AKObject} The newly created AKObject class instance
+ */
+function asAKObject(aClassName) { return AK.as(this, aClassName); };
+Element.prototype.asAKObject = asAKObject;
+
+/**
+ * Returns an array filled with the value splitted by a space of element's first attribute whose qualified name is aQualifiedName.
+ * If there is no such attribute an empty array is returned.
+ * @this Element The element
+ * @param {string} aQualifiedName
+ * @returns {string[]}
+ */
+function getListAttribute(aQualifiedName) { return AK.listAttribute(this, aQualifiedName); };
+Element.prototype.getListAttribute = getListAttribute;
+
+/**
+ * Creates and appends a child element to the element.
+ * @this Element The parent element
+ * @param {string} aTagName The tag of the new element
+ * @param {string} aId The id of the new element
+ * @param {string} aClasses The list of CSS classes separated by space
+ * @param {Object.<string, string | number | boolean>} aAttributes The node attributes
+ * @returns {Element} The child element
+ */
+function createChildElement(aTagName, aId, aClasses, aAttributes = {}) { return AK.createChild(this, aTagName, aId, aClasses, aAttributes); };
+Element.prototype.createChildElement = createChildElement;
+
+/**
+ * Creates and appends a child element to the element and casts it as an AKObject.
+ * @this Element the parent element
+ * @param {string} aTagName The tag of the new element
+ * @param {string} aId The id of the new element
+ * @param {string} aClassName AKObject class name
+ * @param {Object.<string, string | number | boolean>} aAttributes The node attributes
+ * @returns {AKObject} The instance of the AKObject
+ */
+function createChildAKObject(aTagName, aId, aClassName, aAttributes = {}) { return AK.createChildAKObject(this, aTagName, aId, aClassName, aAttributes); };
+Element.prototype.createChildAKObject = createChildAKObject;
@@ -7,6 +7,9 @@
 'use strict';
 
 /* ******************************** NON-EXPORTED FUNCTIONS ******************************** */
+/** Counter of the ids generated by ensureId. */
+let generatedIds = 0;
+
 function spliceString(aString, aStart, aCount, aReplace = '') {
   if (aStart < 0) aStart = 0;
   return aString.slice(0, aStart) + String(aReplace) + aString.slice(aStart + aCount);
@@ -203,6 +206,42 @@ export function isDescendant(aClass, aParentClass) {
 export function modulo(aNumber, aModulo) {
   return ((aNumber % aModulo) + aModulo) % aModulo;
 }
+/**
+ * Computes the position (viewport coordinates) of a floating element placed on a side of an anchor: when it does not
+ * fit, it flips to the opposite side (if roomier), then it is shifted to stay within the viewport.
+ * @param {{left: Number, top: Number, right: Number, bottom: Number, width: Number, height: Number}} aAnchorRect 
+ * @param {{width: Number, height: Number}} aSize The size of the floating element
+ * @param {{width: Number, height: Number}} aViewport The size of the viewport
+ * @param {string} [aPlacement='bottom'] One of top, bottom, left, right
+ * @param {Number} [aGap=8] Distance from the anchor and minimum distance from the viewport edges
+ * @returns {{left: Number, top: Number, placement: string}} The placement is the actual side (after flipping)
+ */
+export function floatingPosition(aAnchorRect, aSize, aViewport, aPlacement = 'bottom', aGap = 8) {
+  let opposites = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+  let placement = Object.hasOwn(opposites, aPlacement) ? aPlacement : 'bottom';
+  let vertical = (placement === 'top') || (placement === 'bottom');
+  let room = {
+    top: aAnchorRect.top,
+    bottom: aViewport.height - aAnchorRect.bottom,
+    left: aAnchorRect.left,
+    right: aViewport.width - aAnchorRect.right
+  };
+  if ((room[placement] < (vertical ? aSize.height : aSize.width) + aGap) && (room[opposites[placement]] > room[placement]))
+    placement = opposites[placement];
+  let left = aAnchorRect.left + ((aAnchorRect.width - aSize.width) / 2);
+  let top = aAnchorRect.top + ((aAnchorRect.height - aSize.height) / 2);
+  switch (placement) {
+    case 'top': top = aAnchorRect.top - aGap - aSize.height; break;
+    case 'bottom': top = aAnchorRect.bottom + aGap; break;
+    case 'left': left = aAnchorRect.left - aGap - aSize.width; break;
+    case 'right': left = aAnchorRect.right + aGap; break;
+  }
+  return {
+    left: Math.max(aGap, Math.min(left, aViewport.width - aSize.width - aGap)),
+    top: Math.max(aGap, Math.min(top, aViewport.height - aSize.height - aGap)),
+    placement: placement
+  };
+}
 /**
  * Returns a string array with the values of the given token-list attribute
  * @param {Element} aElement 
@@ -210,9 +249,44 @@ export function modulo(aNumber, aModulo) {
  * @returns {string[]}
  */
 export function listAttribute(aElement, aAttributeName) {
-  let att = aElement.getAttribute(aAttributeName);
-  if (!att) return [];
-  return att.split(' ');
+  return splitTokens(aElement.getAttribute(aAttributeName));
+}
+/**
+ * Splits a string of tokens separated by whitespaces, skipping the empty ones.
+ * @param {string | null} aValue 
+ * @returns {string[]}
+ */
+export function splitTokens(aValue) {
+  if (!aValue) return [];
+  return aValue.split(/\s+/).filter(Boolean);
+}
+/**
+ * Adds or removes a token of a token-list attribute (e.g. aria-describedby); the attribute is removed once empty.
+ * @param {Element} aElement 
+ * @param {string} aAttributeName 
+ * @param {string} aToken 
+ * @param {Boolean} aForce True to add the token, false to remove it
+ */
+export function toggleListAttribute(aElement, aAttributeName, aToken, aForce) {
+  let tokens = listAttribute(aElement, aAttributeName).filter(function (aItem) { return aItem !== aToken; });
+  if (aForce) tokens.push(aToken);
+  if (tokens.length > 0) aElement.setAttribute(aAttributeName, tokens.join(' '));
+  else aElement.removeAttribute(aAttributeName);
+}
+/**
+ * Returns the id of the element, generating a unique one (prefix + counter) when it has none.
+ * Useful to reference elements that have no id (e.g. from ARIA attributes).
+ * @param {Element} aElement 
+ * @param {string} [aPrefix='ak'] 
+ * @returns {string}
+ */
+export function ensureId(aElement, aPrefix = 'ak') {
+  if (!aElement.id) {
+    let id;
+    do { id = aPrefix + '-' + (++generatedIds); } while (aElement.ownerDocument.getElementById(id));
+    aElement.id = id;
+  }
+  return aElement.id;
 }
 /**
  * Creates a element on the same document as the given one and appends the new one on it.
@@ -258,7 +332,7 @@ export function iterateObject(aObject, aFunction, aDeep = false) {
  * Transforms an object into a string of url params of the form 'key=value' separated by "&".
  * Arrays get transformed into strings like '0=arr[0]&1=arr[1]&...'.
  * Each non-string, non-number, non-boolean property of the object is skipped.
- * No formatting is done on strings in order to prevent invalid URL characters {TODO}.
+ * Keys and values are URI-encoded.
  * @param {object | array} aObject 
  * @param {string[]} aExclude Excluded keys
  * @returns {string} The url params
@@ -270,7 +344,7 @@ export function objToURLQuery(aObject, aExclude = []) {
     function(aKey, aValue) {
       if (!acceptedTypes.includes(typeof(aValue))) return; // Skip non serializable types
       if (aExclude.includes(aKey)) return; // Skip excluded
-      params.push(aKey + '=' + aValue);
+      params.push(encodeURIComponent(aKey) + '=' + encodeURIComponent(aValue));
     }
   );
   return params.join('&');
@@ -336,7 +410,8 @@ export function stringToHtml(aHtml, aFunction) {
   aHtml = aHtml.trim();
   let template = window.document.createElement('template');
   template.innerHTML = aHtml;
-  let collection = template.content.children;
+  // Iterating on a copy: aFunction may move the element out of the (live) collection.
+  let collection = Array.from(template.content.children);
   for (let element of collection)
     aFunction(element);
   template.remove();